@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// A request still "processing" after this long is assumed to have died
+const LOCK_TIMEOUT_MS = 60 * 1000;
+// How long a duplicate waits for the original request to finish
+const WAIT_TIMEOUT_MS = 5 * 1000;
+const WAIT_INTERVAL_MS = 250;
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{1,255}$/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const hashRequest = body => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+// Wait for a concurrent request with the same key to complete
+const waitForCompletion = async (scope) => {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  let record = await IdempotencyKey.findOne(scope);
+
+  while (record && record.status === 'processing' && Date.now() < deadline) {
+    await sleep(WAIT_INTERVAL_MS);
+    record = await IdempotencyKey.findOne(scope);
+  }
+
+  return record;
+};
+
+// Support for the Idempotency-Key header on POST endpoints. Must run after
+// auth: keys are scoped per user and route. The first response (anything
+// but a 5xx) is stored and replayed for retries with the same key.
+module.exports = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1-255 letters, numbers, dashes, underscores, colons or dots'
+    });
+  }
+
+  const scope = {
+    user: req.user.id,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    key
+  };
+  const requestHash = hashRequest(req.body);
+
+  try {
+    try {
+      await IdempotencyKey.create({
+        ...scope,
+        requestHash,
+        expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Take over a lock left behind by a request that never finished
+      const takenOver = await IdempotencyKey.findOneAndUpdate({
+        ...scope,
+        requestHash,
+        status: 'processing',
+        lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+      }, { lockedAt: new Date() });
+
+      if (!takenOver) {
+        const existing = await waitForCompletion(scope);
+
+        if (existing && existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used for a different request'
+          });
+        }
+
+        if (!existing || existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while processing request'
+    });
+  }
+
+  // Store the response before sending it, so a retry never sees a
+  // completed request as still processing
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      // Server errors are not final; let the client retry with the same key
+      ? IdempotencyKey.deleteOne(scope)
+      : IdempotencyKey.updateOne(scope, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body
+      });
+
+    store
+      .catch(error => logger.error(`Failed to store idempotent response for ${scope.path}:`, error))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,26 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+
+// Like auth, but lets anonymous requests through without req.user.
+// Used by routes that serve both guests and logged-in users (e.g. cart).
+module.exports = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.user.id).select('-password');
+
+    if (user && user.isActive) {
+      req.user = user;
+    }
+  } catch (tokenError) {
+    // An invalid or expired token is treated as a guest request
+    console.error('Optional auth token error:', tokenError.message);
+  }
+
+  next();
+};
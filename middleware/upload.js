@@ -1,17 +1,10 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 
-// Simple local storage configuration
-const localStorage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Use /tmp for temporary storage on Render
-    cb(null, '/tmp/uploads/');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Keep uploads in memory; routes hand them to the storage layer
+// (utils/storage), since the local disk on Render is wiped on deploy
+const memoryStorage = multer.memoryStorage();
 
 // File filter for images only
 const fileFilter = (req, file, cb) => {
@@ -22,23 +15,70 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+
 // Create multer upload middleware
 const upload = multer({
-  storage: localStorage,
+  storage: memoryStorage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_IMAGE_SIZE,
     files: 10 // Max 10 files
   }
 });
 
+// Deliverable product files (zips, PDFs, videos) are too big for memory,
+// so they go to a temp directory and are streamed to storage from there
+const DELIVERABLE_EXTENSIONS = [
+  '.zip', '.epub', '.pdf', '.gz', '.tgz', '.tar', '.7z', '.rar',
+  '.mp4', '.m4v', '.mov', '.webm', '.mkv', '.m4a', '.mp3',
+  '.png', '.jpg', '.jpeg', '.psd'
+];
+
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+
+const tempStorage = multer.diskStorage({
+  destination: path.join(os.tmpdir(), 'nibras-uploads'),
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'file-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+// A cheap first check on the name; the content is sniffed after upload
+const deliverableFilter = (req, file, cb) => {
+  if (DELIVERABLE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    const error = new Error(`File type not allowed. Allowed: ${DELIVERABLE_EXTENSIONS.join(', ')}`);
+    error.statusCode = 415;
+    cb(error, false);
+  }
+};
+
+const uploadFiles = multer({
+  storage: tempStorage,
+  fileFilter: deliverableFilter,
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: 10
+  }
+});
+
+const formatSize = bytes => `${Math.round(bytes / (1024 * 1024))}MB`;
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
+      // Deliverables arrive in the `files` field (uploadFiles), images in
+      // `images`
+      const maxSize = error.field === 'files' ? getMaxFileSize() : MAX_IMAGE_SIZE;
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 10MB.'
+        message: `File too large. Maximum size is ${formatSize(maxSize)}.`
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -61,3 +101,6 @@ const handleUploadError = (error, req, res, next) => {
 
 module.exports = upload;
 module.exports.handleUploadError = handleUploadError;
+module.exports.uploadFiles = uploadFiles;
+module.exports.getMaxFileSize = getMaxFileSize;
+module.exports.DELIVERABLE_EXTENSIONS = DELIVERABLE_EXTENSIONS;
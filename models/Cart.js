@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Chosen license variant, for products sold in several tiers
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [100, 'Quantity cannot be more than 100']
+  },
+  // Price seen by the customer when the item was added, used to flag changes
+  priceAtAdd: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Anonymous visitors are identified by the cart cookie
+  guestId: String,
+  items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Only set for guest carts so abandoned ones are cleaned up by MongoDB
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save middleware to extend guest cart lifetime on every change
+cartSchema.pre('save', function(next) {
+  if (this.user) {
+    this.expiresAt = undefined;
+  } else {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Instance method to add a product or bump its quantity. A product is in
+// the cart once; adding it with another variant switches the line over.
+// pricing comes from product.getPricing().
+cartSchema.methods.addItem = function(product, quantity = 1, pricing = product.getPricing()) {
+  const existing = this.items.find(item => item.product.toString() === product._id.toString());
+  const sameVariant = existing && String(existing.variant || '') === String(pricing.variant || '');
+
+  if (existing) {
+    existing.quantity = sameVariant ? Math.min(existing.quantity + quantity, 100) : quantity;
+    existing.variant = pricing.variant || undefined;
+    existing.priceAtAdd = pricing.price;
+  } else {
+    this.items.push({
+      product: product._id,
+      variant: pricing.variant || undefined,
+      quantity,
+      priceAtAdd: pricing.price
+    });
+  }
+
+  return this;
+};
+
+// Instance method to set an item's quantity; returns false if not in cart
+cartSchema.methods.updateItem = function(productId, quantity) {
+  const existing = this.items.find(item => item.product.toString() === productId.toString());
+  if (!existing) {
+    return false;
+  }
+  existing.quantity = quantity;
+  return true;
+};
+
+// Instance method to remove an item; returns false if not in cart
+cartSchema.methods.removeItem = function(productId) {
+  const count = this.items.length;
+  this.items = this.items.filter(item => item.product.toString() !== productId.toString());
+  return this.items.length !== count;
+};
+
+// Instance method to build the cart view with totals from live product
+// prices. Items whose product was deactivated or repriced are flagged, and
+// an applied coupon is re-checked against the current contents.
+cartSchema.methods.summarize = async function({ user } = {}) {
+  await this.populate('items.product', 'name slug price originalPrice images isActive category license variants');
+
+  let subtotal = 0;
+  let itemCount = 0;
+
+  const items = this.items.map(item => {
+    const product = item.product;
+    // A variant that was removed or disabled makes the line unavailable
+    const pricing = product && product.isActive ? product.getPricing(item.variant) : null;
+    const unavailable = !pricing;
+    const currentPrice = unavailable ? null : pricing.price;
+    const priceChanged = !unavailable && currentPrice !== item.priceAtAdd;
+    const lineTotal = unavailable ? 0 : Math.round(currentPrice * item.quantity * 100) / 100;
+
+    if (!unavailable) {
+      subtotal += lineTotal;
+      itemCount += item.quantity;
+    }
+
+    return {
+      product: product ? {
+        id: product._id,
+        name: product.name,
+        slug: product.slug,
+        category: product.category,
+        license: pricing ? pricing.license : product.license,
+        primaryImage: product.primaryImage
+      } : null,
+      variant: pricing && pricing.variant ? {
+        id: pricing.variant,
+        license: pricing.license,
+        name: product.variants.id(pricing.variant).name
+      } : null,
+      quantity: item.quantity,
+      price: currentPrice,
+      priceAtAdd: item.priceAtAdd,
+      lineTotal,
+      unavailable,
+      priceChanged,
+      addedAt: item.addedAt
+    };
+  });
+
+  let coupon = null;
+  let discount = 0;
+
+  if (this.couponCode) {
+    const Coupon = mongoose.model('Coupon');
+    const found = await Coupon.findOne({ code: this.couponCode });
+    const check = found
+      ? found.checkApplicability({ user, items: this.getPricedItems() })
+      : { valid: false, message: 'Invalid coupon code', discount: 0 };
+
+    discount = check.discount;
+    coupon = {
+      code: this.couponCode,
+      valid: check.valid,
+      message: check.message,
+      discount
+    };
+  }
+
+  subtotal = Math.round(subtotal * 100) / 100;
+
+  return {
+    id: this._id,
+    items,
+    itemCount,
+    subtotal,
+    coupon,
+    discount,
+    total: Math.max(0, Math.round((subtotal - discount) * 100) / 100),
+    hasIssues: items.some(item => item.unavailable || item.priceChanged),
+    updatedAt: this.updatedAt
+  };
+};
+
+// Instance method to list available items with live prices, in the shape
+// used for coupon checks. Requires items.product to be populated.
+cartSchema.methods.getPricedItems = function() {
+  return this.items
+    .map(item => ({
+      item,
+      pricing: item.product && item.product.isActive ? item.product.getPricing(item.variant) : null
+    }))
+    .filter(({ pricing }) => pricing)
+    .map(({ item, pricing }) => ({
+      product: item.product._id,
+      category: item.product.category,
+      price: pricing.price,
+      quantity: item.quantity
+    }));
+};
+
+// Static method to move a guest cart into a user's cart
+cartSchema.statics.mergeGuestCart = async function(guestId, userId) {
+  const guestCart = await this.findOne({ guestId });
+  if (!guestCart) {
+    return null;
+  }
+
+  let userCart = await this.findOne({ user: userId });
+  if (!userCart) {
+    userCart = new this({ user: userId, items: [] });
+  }
+
+  if (guestCart.couponCode && !userCart.couponCode) {
+    userCart.couponCode = guestCart.couponCode;
+  }
+
+  guestCart.items.forEach(guestItem => {
+    const existing = userCart.items.find(item => item.product.toString() === guestItem.product.toString());
+    if (existing) {
+      // Digital goods: keep the larger quantity rather than doubling up.
+      // The variant picked most recently (as a guest) wins.
+      existing.quantity = Math.max(existing.quantity, guestItem.quantity);
+      existing.variant = guestItem.variant;
+      existing.priceAtAdd = guestItem.priceAtAdd;
+    } else {
+      userCart.items.push(guestItem.toObject());
+    }
+  });
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return userCart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+// Categories the store started with, before they were managed in the
+// database. scripts/migrate.js creates them on existing installs.
+const DEFAULT_CATEGORIES = [
+  { name: 'Templates', slug: 'templates' },
+  { name: 'Components', slug: 'components' },
+  { name: 'Themes', slug: 'themes' },
+  { name: 'Plugins', slug: 'plugins' },
+  { name: 'Courses', slug: 'courses' },
+  { name: 'E-books', slug: 'ebooks' },
+  { name: 'Graphics', slug: 'graphics' },
+  { name: 'Other', slug: 'other' }
+];
+
+// Product categories. Products refer to a category by its slug, which is
+// fixed once created so links and existing products keep working.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [50, 'Category name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Subcategories point at a top-level category; one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  icon: String,
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ isActive: 1 });
+
+// Pre-save middleware to generate the slug from the name
+categorySchema.pre('save', function(next) {
+  if (!this.slug) {
+    this.slug = this.constructor.slugFor(this.name);
+  }
+  next();
+});
+
+// Static method to get the slug a category name would get
+categorySchema.statics.slugFor = function(name) {
+  return slugify(name, {
+    lower: true,
+    strict: true
+  });
+};
+
+// Static method to check a slug names an active category
+categorySchema.statics.isActiveSlug = async function(slug) {
+  return Boolean(await this.exists({ slug, isActive: true }));
+};
+
+// Static method to get a category's slug plus its active subcategories'
+// slugs, for filtering products. Empty when the category does not exist.
+categorySchema.statics.getSlugTree = async function(slug) {
+  const category = await this.findOne({ slug, isActive: true }).select('_id slug');
+  if (!category) {
+    return [];
+  }
+
+  const children = await this.find({ parent: category._id, isActive: true }).select('slug');
+  return [category.slug, ...children.map(child => child.slug)];
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
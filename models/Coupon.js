@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100'
+    }
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    default: -1 // -1 means unlimited
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1 // -1 means unlimited
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [redemptionSchema],
+  // Empty restriction lists mean the coupon applies to everything
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+couponSchema.index({ 'redemptions.order': 1 });
+
+const round = value => Math.round(value * 100) / 100;
+
+// Instance method to check whether a line item is covered by the coupon.
+// Items are plain objects: { product, category, price, quantity }.
+couponSchema.methods.appliesTo = function(item) {
+  const restricted = this.categories.length > 0 || this.products.length > 0;
+  if (!restricted) {
+    return true;
+  }
+
+  const productId = (item.product._id || item.product).toString();
+  return this.categories.includes(item.category) ||
+    this.products.some(id => id.toString() === productId);
+};
+
+// Instance method to compute the discount for a set of line items
+couponSchema.methods.calculateDiscount = function(items) {
+  const eligibleSubtotal = items
+    .filter(item => this.appliesTo(item))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (this.type === 'percentage') {
+    return round(eligibleSubtotal * this.value / 100);
+  }
+  return round(Math.min(this.value, eligibleSubtotal));
+};
+
+// Instance method to validate the coupon against a cart or order.
+// Returns { valid, message, discount }. Usage caps are checked here for a
+// friendly error, but only redeem() enforces them.
+couponSchema.methods.checkApplicability = function({ user, items }) {
+  const now = new Date();
+  const invalid = message => ({ valid: false, message, discount: 0 });
+
+  if (!this.isActive) {
+    return invalid('This coupon is no longer active');
+  }
+  if (this.startsAt && this.startsAt > now) {
+    return invalid('This coupon is not active yet');
+  }
+  if (this.expiresAt && this.expiresAt <= now) {
+    return invalid('This coupon has expired');
+  }
+  if (this.maxUses !== -1 && this.usedCount >= this.maxUses) {
+    return invalid('This coupon has reached its usage limit');
+  }
+  if (user && this.maxUsesPerUser !== -1) {
+    const userId = (user._id || user).toString();
+    const uses = this.redemptions.filter(redemption => redemption.user.toString() === userId).length;
+    if (uses >= this.maxUsesPerUser) {
+      return invalid('You have already used this coupon');
+    }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (subtotal < this.minOrderValue) {
+    return invalid(`This coupon requires a minimum order of ${this.minOrderValue}`);
+  }
+
+  const discount = this.calculateDiscount(items);
+  if (discount <= 0) {
+    return invalid('This coupon does not apply to any items in your order');
+  }
+
+  return { valid: true, message: 'Coupon applied', discount };
+};
+
+// Static method to atomically record a redemption. The caps are part of
+// the update filter, so concurrent checkouts cannot exceed them.
+// Resolves to the updated coupon, or null when a cap was hit.
+couponSchema.statics.redeem = function(coupon, { user, order, discount }) {
+  const filter = {
+    _id: coupon._id,
+    isActive: true
+  };
+  const conditions = [];
+
+  if (coupon.maxUses !== -1) {
+    conditions.push({ $lt: ['$usedCount', '$maxUses'] });
+  }
+  if (coupon.maxUsesPerUser !== -1) {
+    conditions.push({
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: '$redemptions',
+              cond: { $eq: ['$$this.user', new mongoose.Types.ObjectId(user.toString())] }
+            }
+          }
+        },
+        '$maxUsesPerUser'
+      ]
+    });
+  }
+  if (conditions.length > 0) {
+    filter.$expr = { $and: conditions };
+  }
+
+  return this.findOneAndUpdate(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { user, order, discount } }
+  }, { new: true });
+};
+
+// Static method to give back a redemption, e.g. when the order is cancelled
+couponSchema.statics.release = function(couponId, orderId) {
+  return this.findOneAndUpdate({
+    _id: couponId,
+    'redemptions.order': orderId
+  }, {
+    $inc: { usedCount: -1 },
+    $pull: { redemptions: { order: orderId } }
+  }, { new: true });
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// A buyer's right to download a product, granted when an order is paid
+const entitlementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Paid orders that include the product; access ends when none are left
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  downloadsUsed: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the product when granted
+  downloadLimit: {
+    type: Number,
+    default: -1 // -1 means unlimited
+  },
+  lastDownloadAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+entitlementSchema.index({ user: 1, product: 1 }, { unique: true });
+entitlementSchema.index({ orders: 1 });
+
+// Virtual for downloads left (null when unlimited)
+entitlementSchema.virtual('downloadsRemaining').get(function() {
+  if (this.downloadLimit === -1) {
+    return null;
+  }
+  return Math.max(0, this.downloadLimit - this.downloadsUsed);
+});
+
+// Ensure virtual fields are serialized
+entitlementSchema.set('toJSON', { virtuals: true });
+
+// Static method to grant entitlements for every product in a paid order,
+// including the members of bundles. Buying a product again restores access
+// and starts a fresh download allowance; granting the same order twice is
+// a no-op.
+entitlementSchema.statics.grantForOrder = async function(order) {
+  const Product = mongoose.model('Product');
+
+  for (const productId of order.getGrantedProducts()) {
+    const product = await Product.findById(productId).select('downloadLimit');
+
+    try {
+      await this.findOneAndUpdate(
+        { user: order.user, product: productId, orders: { $ne: order._id } },
+        {
+          $push: { orders: order._id },
+          $set: {
+            downloadsUsed: 0,
+            downloadLimit: product ? product.downloadLimit : -1
+          },
+          $unset: { revokedAt: 1 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The upsert collides with the existing entitlement when this order
+      // was already granted
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to take back access for a product bought in an order.
+// Access stays while another paid order still covers the product.
+entitlementSchema.statics.revokeForOrder = async function(order, productIds) {
+  for (const productId of productIds) {
+    const entitlement = await this.findOneAndUpdate(
+      { user: order.user, product: productId },
+      { $pull: { orders: order._id } },
+      { new: true }
+    );
+
+    if (entitlement && entitlement.orders.length === 0 && !entitlement.revokedAt) {
+      entitlement.revokedAt = new Date();
+      await entitlement.save();
+    }
+  }
+};
+
+// Static method to count one download against the entitlement.
+// Resolves to { entitlement, reason } where reason is 'not_purchased',
+// 'revoked' or 'limit_reached' when the download is refused.
+entitlementSchema.statics.consumeDownload = async function(userId, productId) {
+  const entitlement = await this.findOneAndUpdate(
+    {
+      user: userId,
+      product: productId,
+      revokedAt: null,
+      $or: [
+        { downloadLimit: -1 },
+        { $expr: { $lt: ['$downloadsUsed', '$downloadLimit'] } }
+      ]
+    },
+    {
+      $inc: { downloadsUsed: 1 },
+      $set: { lastDownloadAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (entitlement) {
+    return { entitlement };
+  }
+
+  const existing = await this.findOne({ user: userId, product: productId });
+
+  if (!existing) {
+    return { reason: 'not_purchased' };
+  }
+
+  return {
+    entitlement: existing,
+    reason: existing.revokedAt ? 'revoked' : 'limit_reached'
+  };
+};
+
+// Instance method to list the variants bought in the orders that still
+// grant access (null for lines bought before the product had variants and
+// for bundles, which include every file of their members)
+entitlementSchema.methods.getVariants = async function() {
+  const orders = await mongoose.model('Order').find({ _id: { $in: this.orders } }).select('items');
+  const productId = this.product.toString();
+
+  return orders.flatMap(order => order.items
+    .filter(item => item.refundedQuantity < item.quantity)
+    .flatMap(item => {
+      if (item.product.toString() === productId) {
+        return [item.variant || null];
+      }
+      return (item.bundleProducts || []).some(id => id.toString() === productId) ? [null] : [];
+    }));
+};
+
+module.exports = mongoose.model('Entitlement', entitlementSchema);
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Categories whose products ship with a license key
+const LICENSED_CATEGORIES = ['plugins', 'themes'];
+
+// Sites a license may be activated on, per unit bought (-1 is unlimited)
+const TIER_SEATS = {
+  personal: 1,
+  commercial: 5,
+  extended: -1
+};
+
+// No 0/O or 1/I so keys can be read out and typed back
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const KEY_PATTERN = /^NIB(-[A-HJ-NP-Z2-9]{4}){4}$/;
+
+// Local and staging hosts do not use up a seat
+const DEVELOPMENT_HOST_PATTERN = /^(localhost|127\.0\.0\.1|\[::1\])$|\.(local|test|localhost)$/;
+
+const activationSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true
+  },
+  isDevelopment: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastCheckedAt: Date
+}, { _id: false });
+
+const licenseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  tier: {
+    type: String,
+    enum: Object.keys(TIER_SEATS),
+    default: 'personal'
+  },
+  maxActivations: {
+    type: Number,
+    required: true // -1 means unlimited
+  },
+  activations: [activationSchema],
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+licenseSchema.index({ user: 1, createdAt: -1 });
+// One license per product per order, so issuing twice is harmless
+licenseSchema.index({ order: 1, product: 1 }, { unique: true });
+
+// Virtual for activations that use up a seat
+licenseSchema.virtual('seatsUsed').get(function() {
+  return this.activations.filter(activation => !activation.isDevelopment).length;
+});
+
+// Ensure virtual fields are serialized
+licenseSchema.set('toJSON', { virtuals: true });
+
+// Static method to generate a key like NIB-7KQ2-M9XD-4RTA-PW3E
+licenseSchema.statics.generateKey = function() {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, byte => KEY_ALPHABET[byte % KEY_ALPHABET.length]).join('');
+  return `NIB-${chars.match(/.{4}/g).join('-')}`;
+};
+
+// Static method to reduce a URL or host to the domain we track
+licenseSchema.statics.normalizeDomain = function(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^www\./, '');
+};
+
+// Static method to issue keys for the licensed products in a paid order.
+// Seats scale with the quantity bought. Licensed members of a bundle get
+// a key of the bundle line's tier.
+licenseSchema.statics.issueForOrder = async function(order) {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({
+    _id: { $in: order.getGrantedProducts() },
+    category: { $in: LICENSED_CATEGORIES }
+  }).select('_id');
+  const licensed = new Set(products.map(product => product._id.toString()));
+
+  for (const item of order.items) {
+    const tier = item.license || 'personal';
+    // The variant bought may set its own seat count
+    const perUnit = item.seats !== undefined && item.seats !== null ? item.seats : TIER_SEATS[tier];
+    const seats = perUnit === -1 ? -1 : perUnit * item.quantity;
+
+    for (const productId of [item.product, ...(item.bundleProducts || [])]) {
+      if (!licensed.has(productId.toString())) {
+        continue;
+      }
+
+      try {
+        await this.create({
+          key: this.generateKey(),
+          user: order.user,
+          product: productId,
+          order: order._id,
+          tier,
+          maxActivations: seats
+        });
+      } catch (error) {
+        // Already issued for this order
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+  }
+};
+
+// Static method to revoke the keys bought with an order for some products
+licenseSchema.statics.revokeForOrder = function(order, productIds) {
+  return this.updateMany(
+    { order: order._id, product: { $in: productIds }, status: 'active' },
+    { $set: { status: 'revoked', revokedAt: new Date() } }
+  );
+};
+
+// Static method to activate a license on a domain. Resolves to the license,
+// or null when it is revoked or every seat is taken. Activating a domain
+// that is already active just returns the license.
+licenseSchema.statics.activate = async function(key, domain) {
+  const isDevelopment = DEVELOPMENT_HOST_PATTERN.test(domain);
+  const filter = {
+    key,
+    status: 'active',
+    'activations.domain': { $ne: domain }
+  };
+
+  if (!isDevelopment) {
+    filter.$or = [
+      { maxActivations: -1 },
+      {
+        $expr: {
+          $lt: [
+            {
+              $size: {
+                $filter: {
+                  input: '$activations',
+                  cond: { $ne: ['$$this.isDevelopment', true] }
+                }
+              }
+            },
+            '$maxActivations'
+          ]
+        }
+      }
+    ];
+  }
+
+  const license = await this.findOneAndUpdate(filter, {
+    $push: { activations: { domain, isDevelopment } }
+  }, { new: true });
+
+  if (license) {
+    return license;
+  }
+
+  return this.findOne({ key, status: 'active', 'activations.domain': domain });
+};
+
+// Instance method to find the activation for a domain
+licenseSchema.methods.getActivation = function(domain) {
+  return this.activations.find(activation => activation.domain === domain) || null;
+};
+
+// Static map of seats per tier, and the key format for validators
+licenseSchema.statics.TIER_SEATS = TIER_SEATS;
+licenseSchema.statics.KEY_PATTERN = KEY_PATTERN;
+
+module.exports = mongoose.model('License', licenseSchema);
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Snapshot of the product at purchase time, so later edits to the
+  // product do not rewrite what the customer actually paid for
+  name: {
+    type: String,
+    required: true
+  },
+  slug: String,
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  license: {
+    type: String,
+    enum: ['personal', 'commercial', 'extended'],
+    default: 'personal'
+  },
+  // Product variant bought, and its sites per unit when it overrides the
+  // license tier's default
+  variant: mongoose.Schema.Types.ObjectId,
+  seats: Number,
+  // Members of a bundle at purchase time; each is granted like the line's
+  // own product
+  bundleProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  refundedQuantity: {
+    type: Number,
+    default: 0
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for line total
+orderItemSchema.virtual('lineTotal').get(function() {
+  return Math.round(this.price * this.quantity * 100) / 100;
+});
+
+// Legal status transitions. Anything not listed here is rejected.
+const STATUS_TRANSITIONS = {
+  pending: ['awaiting_payment', 'paid', 'cancelled', 'failed'],
+  awaiting_payment: ['paid', 'failed', 'cancelled'],
+  // A payment can still succeed after a failed attempt (a retried
+  // PaymentIntent, a capture completing after a decline)
+  failed: ['awaiting_payment', 'paid', 'cancelled'],
+  paid: ['fulfilled', 'partially_refunded', 'refunded'],
+  fulfilled: ['partially_refunded', 'refunded'],
+  // Repeated partial refunds are recorded as transitions too
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: [],
+  cancelled: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 'user', 'admin' or 'system' (payment webhooks, scheduled jobs)
+  actorType: {
+    type: String,
+    enum: ['user', 'admin', 'system'],
+    default: 'system'
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Order must belong to a user']
+  },
+  email: {
+    type: String,
+    required: [true, 'Order email is required'],
+    lowercase: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'Order must contain at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [statusHistorySchema],
+  paidAt: Date,
+  paymentMethod: {
+    type: String,
+    enum: ['stripe', 'paypal', 'chapa', 'fake']
+  },
+  payment: {
+    provider: {
+      type: String,
+      enum: ['stripe', 'paypal', 'chapa', 'fake']
+    },
+    // Provider side id: PaymentIntent id, PayPal order id or Chapa tx_ref
+    reference: String,
+    // Settled transaction: Stripe charge, PayPal capture or Chapa reference
+    transactionId: String,
+    status: String,
+    amount: Number,
+    currency: String,
+    failureReason: String,
+    updatedAt: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true,
+  // Concurrent status changes (e.g. duplicate webhooks) must not both win
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for total number of units in the order
+orderSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+// Indexes for better query performance
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ 'items.product': 1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.reference': 1 });
+
+// Pre-validate middleware to generate a human readable order number
+orderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.orderNumber = `NA-${date}-${suffix}`;
+  }
+  next();
+});
+
+// Pre-validate middleware to keep totals consistent with line items
+orderSchema.pre('validate', function(next) {
+  if (this.isModified('items') || this.isModified('discount') || this.isNew) {
+    const subtotal = this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    this.subtotal = Math.round(subtotal * 100) / 100;
+    this.total = Math.max(0, Math.round((this.subtotal - (this.discount || 0)) * 100) / 100);
+  }
+  next();
+});
+
+// Pre-save middleware to record the initial status
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      actor: this.user,
+      actorType: 'user',
+      reason: 'Order created'
+    });
+  }
+  next();
+});
+
+// Static map of legal status transitions
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Static method to find a user's orders, newest first
+orderSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+// Instance method to check whether a user may view this order
+orderSchema.methods.isAccessibleBy = function(user) {
+  const ownerId = this.user._id || this.user;
+  return user.role === 'admin' || ownerId.toString() === user.id.toString();
+};
+
+// Instance method to list the products some lines grant access to: each
+// line's product plus, for bundles, the members it was sold with
+orderSchema.methods.getGrantedProducts = function(items = this.items) {
+  const products = new Map();
+  items.forEach(item => {
+    [item.product, ...(item.bundleProducts || [])].forEach(id => {
+      products.set(id.toString(), id);
+    });
+  });
+  return [...products.values()];
+};
+
+// Instance method to check whether a status change is allowed
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to change status and record it in the history.
+// Does not save; use utils/orderLifecycle to persist and run side effects.
+orderSchema.methods.transitionTo = function(status, { actor, actorType = 'system', reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor,
+    actorType,
+    reason
+  });
+  this.status = status;
+
+  if (status === 'paid') {
+    this.paidAt = new Date();
+  }
+
+  return this;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
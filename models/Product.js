@@ -1,5 +1,114 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const semver = require('../utils/semver');
+const { escapeRegExp, matchesAllTerms } = require('../utils/search');
+
+const LICENSE_TIERS = ['personal', 'commercial', 'extended'];
+
+// Lower bounds of the price ranges counted by facetedSearch; the last
+// range is open ended
+const PRICE_BUCKETS = [0, 10, 25, 50, 100];
+
+// How many tag and techStack values facetedSearch counts, most common first
+const FACET_VALUE_LIMIT = 30;
+
+// Most products findFuzzyIds looks through, after the prefix filter
+const FUZZY_CANDIDATE_LIMIT = 1000;
+
+// Leading characters of a search term a fuzzy match must share. Typos are
+// only tolerated after them, which keeps the candidates small.
+const FUZZY_PREFIX_LENGTH = 2;
+
+const fileSchema = new mongoose.Schema({
+  name: String,
+  // Storage key and driver for uploaded files; older entries only have url
+  key: String,
+  storage: String,
+  url: String,
+  size: Number,
+  // Spelled out: a bare `type: String` would make this an array of strings
+  type: { type: String },
+  // sha256 of the content, hex encoded
+  checksum: String
+});
+
+// A resized copy of a product image (see utils/imageProcessing)
+const imageRenditionSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    enum: ['thumb', 'card', 'full']
+  },
+  format: {
+    type: String,
+    enum: ['jpeg', 'png', 'webp']
+  },
+  url: String,
+  key: String,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// One way to buy the product: a license tier with its own price and files
+const variantSchema = new mongoose.Schema({
+  license: {
+    type: String,
+    enum: LICENSE_TIERS,
+    required: [true, 'Variant license is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Variant name cannot be more than 50 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  // Names of the product files this variant includes; empty means all.
+  // Names rather than ids so the variant's file list carries over to new releases.
+  files: [{
+    type: String,
+    trim: true
+  }],
+  // Sites per unit bought (-1 is unlimited); unset uses the tier's default
+  seats: {
+    type: Number,
+    min: [-1, 'Seats must be -1 (unlimited) or more']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const releaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'Release version is required'],
+    validate: {
+      validator: value => semver.isValid(value),
+      message: 'Version must be a semantic version like 1.4.0'
+    }
+  },
+  changelog: {
+    type: String,
+    maxlength: [5000, 'Changelog cannot be more than 5000 characters']
+  },
+  files: [fileSchema],
+  releasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -30,19 +139,12 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Original price cannot be negative']
   },
+  // Slug of a Category; routes check it names an active one
   category: {
     type: String,
     required: [true, 'Product category is required'],
-    enum: [
-      'templates',
-      'components',
-      'themes',
-      'plugins',
-      'courses',
-      'ebooks',
-      'graphics',
-      'other'
-    ]
+    trim: true,
+    lowercase: true
   },
   tags: [{
     type: String,
@@ -53,18 +155,22 @@ const productSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    key: String,
+    storage: String,
     alt: String,
     isPrimary: {
       type: Boolean,
       default: false
-    }
-  }],
-  files: [{
-    name: String,
-    url: String,
-    size: Number,
-    type: String
+    },
+    // Dimensions of the uploaded original
+    width: Number,
+    height: Number,
+    renditions: [imageRenditionSchema]
   }],
+  // Files of the latest release
+  files: [fileSchema],
+  releases: [releaseSchema],
+  latestVersion: String,
   demoUrl: String,
   githubUrl: String,
   documentation: String,
@@ -100,9 +206,24 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: -1 // -1 means unlimited
   },
+  // With variants, price, originalPrice and license mirror the cheapest
+  variants: [variantSchema],
+  // Bundles are sold as one item and grant every member product
+  bundleProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // What the members cost bought one by one, kept up to date
+  bundleValue: Number,
+  // Set when the bundle was taken off sale because a member was
+  // deactivated; it goes back on sale once every member is active again
+  bundleSuspended: {
+    type: Boolean,
+    default: false
+  },
   license: {
     type: String,
-    enum: ['personal', 'commercial', 'extended'],
+    enum: LICENSE_TIERS,
     default: 'personal'
   },
   difficulty: {
@@ -170,6 +291,23 @@ productSchema.virtual('primaryImage').get(function() {
   return primary || this.images[0] || null;
 });
 
+// Virtual for whether the product is a bundle
+productSchema.virtual('isBundle').get(function() {
+  return Boolean(this.bundleProducts && this.bundleProducts.length > 0);
+});
+
+// Virtual for what a bundle saves compared with buying its members
+productSchema.virtual('bundleSavings').get(function() {
+  if (!this.isBundle || !this.bundleValue) {
+    return null;
+  }
+  const amount = Math.max(0, Math.round((this.bundleValue - this.price) * 100) / 100);
+  return {
+    amount,
+    percentage: Math.round((amount / this.bundleValue) * 100)
+  };
+});
+
 // Virtual for reviews
 productSchema.virtual('reviews', {
   ref: 'Review',
@@ -184,9 +322,11 @@ productSchema.index({ category: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isFeatured: 1 });
 productSchema.index({ price: 1 });
+productSchema.index({ 'variants.license': 1, 'variants.price': 1 });
 productSchema.index({ 'stats.rating.average': -1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ tags: 1 });
+productSchema.index({ bundleProducts: 1 });
 
 // Text index for search
 productSchema.index({
@@ -196,6 +336,71 @@ productSchema.index({
   tags: 'text'
 });
 
+// Pre-validate middleware to keep one variant per license tier and to
+// expose the cheapest variant as the headline price
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0 || !this.isModified(['variants', 'price', 'originalPrice', 'license'])) {
+    return next();
+  }
+
+  const tiers = this.variants.map(variant => variant.license);
+  if (new Set(tiers).size !== tiers.length) {
+    this.invalidate('variants', 'Each license tier can only have one variant');
+  }
+
+  const cheapest = this.getVariant();
+  if (cheapest) {
+    this.price = cheapest.price;
+    this.originalPrice = cheapest.originalPrice;
+    this.license = cheapest.license;
+  }
+  next();
+});
+
+// Pre-validate middleware to check bundle members and price them. Members
+// must be active products that are not bundles themselves.
+productSchema.pre('validate', async function() {
+  const reactivated = this.isModified('isActive') && this.isActive;
+  if (!this.isBundle || !(this.isModified('bundleProducts') || reactivated)) {
+    return;
+  }
+
+  const ids = this.bundleProducts.map(id => id.toString());
+  if (new Set(ids).size !== ids.length || ids.includes(this._id.toString())) {
+    this.invalidate('bundleProducts', 'Bundle members must be distinct products other than the bundle');
+    return;
+  }
+
+  const members = await this.constructor.find({ _id: { $in: this.bundleProducts } })
+    .select('price isActive bundleProducts');
+
+  if (members.length !== ids.length || members.some(member => !member.isActive || member.isBundle)) {
+    this.invalidate('bundleProducts', 'Bundle members must be active products that are not bundles');
+    return;
+  }
+
+  this.bundleValue = Math.round(members.reduce((sum, member) => sum + member.price, 0) * 100) / 100;
+  if (this.isActive) {
+    this.bundleSuspended = false;
+  }
+});
+
+// Pre-save middleware to note changes that bundles containing this
+// product have to follow (see syncBundles)
+productSchema.pre('save', function(next) {
+  this.$locals.bundleMemberChanged = !this.isNew && !this.isBundle &&
+    (this.isModified('price') || this.isModified('isActive'));
+  next();
+});
+
+// Post-save middleware to keep bundles in step with their members
+productSchema.post('save', function() {
+  if (this.$locals.bundleMemberChanged) {
+    return this.constructor.syncBundles(this._id)
+      .catch(error => console.error('Error syncing bundles:', error));
+  }
+});
+
 // Pre-save middleware to generate slug
 productSchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -224,6 +429,142 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to publish a release. The version must be newer than
+// every existing one; its files become the product's current files.
+productSchema.methods.addRelease = function({ version, changelog, files, releasedBy }) {
+  if (this.latestVersion && semver.compare(version, this.latestVersion) <= 0) {
+    const error = new Error(`Version ${version} must be newer than ${this.latestVersion}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.releases.push({ version, changelog, files, releasedBy });
+  const release = this.releases[this.releases.length - 1];
+
+  this.latestVersion = version;
+  this.files = release.files.map(file => file.toObject());
+
+  return release;
+};
+
+// Instance method to find a release by version
+productSchema.methods.getRelease = function(version) {
+  return this.releases.find(release => release.version === version) || null;
+};
+
+// Instance method to attach uploaded files. They also join the latest
+// release, so its file set stays in step with the product's.
+productSchema.methods.addFiles = function(files) {
+  this.files.push(...files);
+  const added = this.files.slice(-files.length);
+
+  const release = this.latestVersion ? this.getRelease(this.latestVersion) : null;
+  if (release) {
+    release.files.push(...added.map(file => file.toObject()));
+  }
+
+  return added;
+};
+
+// Instance method to find an active variant by id or license tier. With no
+// reference it returns the cheapest variant; null when there is no match.
+productSchema.methods.getVariant = function(reference) {
+  const active = this.variants.filter(variant => variant.isActive);
+
+  if (!reference) {
+    return active.reduce((cheapest, variant) => (
+      !cheapest || variant.price < cheapest.price ? variant : cheapest
+    ), null);
+  }
+
+  const ref = reference.toString();
+  return active.find(variant => variant._id.toString() === ref || variant.license === ref) || null;
+};
+
+// Instance method to price one unit, optionally for a variant. Resolves
+// to { variant, license, price, originalPrice, seats }, or null when the
+// variant is unknown. Products without variants use their own price.
+productSchema.methods.getPricing = function(reference) {
+  if (this.variants.length === 0) {
+    return reference && reference.toString() !== this.license ? null : {
+      variant: null,
+      license: this.license,
+      price: this.price,
+      originalPrice: this.originalPrice,
+      seats: undefined
+    };
+  }
+
+  const variant = this.getVariant(reference);
+  if (!variant) {
+    return null;
+  }
+
+  return {
+    variant: variant._id,
+    license: variant.license,
+    price: variant.price,
+    originalPrice: variant.originalPrice,
+    seats: variant.seats
+  };
+};
+
+// Instance method to narrow files to those included in the given variants.
+// Lines bought before variants existed (null) include every file.
+productSchema.methods.filesForVariants = function(files, variantIds) {
+  const names = new Set();
+
+  for (const variantId of variantIds) {
+    const variant = variantId && this.variants.id(variantId);
+    if (!variant || variant.files.length === 0) {
+      return files;
+    }
+    variant.files.forEach(name => names.add(name));
+  }
+
+  return files.filter(file => names.has(file.name));
+};
+
+// Instance method to get the primary image at one rendition size. Images
+// uploaded before renditions existed fall back to their original url.
+productSchema.methods.getPrimaryImage = function(size = 'full') {
+  const image = this.primaryImage;
+  if (!image) {
+    return null;
+  }
+
+  const renditions = (image.renditions || []).filter(r => r.size === size);
+  const fallback = renditions.find(r => r.format !== 'webp');
+  const webp = renditions.find(r => r.format === 'webp');
+
+  return {
+    _id: image._id,
+    url: fallback ? fallback.url : image.url,
+    webpUrl: webp ? webp.url : null,
+    width: fallback ? fallback.width : image.width,
+    height: fallback ? fallback.height : image.height,
+    alt: image.alt,
+    size: fallback ? size : 'original'
+  };
+};
+
+// Instance method to find a file of the current or any earlier release
+productSchema.methods.findFile = function(fileId) {
+  const current = this.files.id(fileId);
+  if (current) {
+    return current;
+  }
+
+  for (const release of this.releases) {
+    const file = release.files.id(fileId);
+    if (file) {
+      return file;
+    }
+  }
+
+  return null;
+};
+
 // Static method to find active products
 productSchema.statics.findActive = function() {
   return this.find({ isActive: true });
@@ -246,10 +587,150 @@ productSchema.methods.incrementDownloads = function() {
   return this.save();
 };
 
-// Instance method to increment sales count
-productSchema.methods.incrementSales = function() {
-  this.stats.sales += 1;
+// Instance method to increment sales count by the units sold
+productSchema.methods.incrementSales = function(quantity = 1) {
+  this.stats.sales += quantity;
   return this.save();
 };
 
+// Static method to bring the bundles containing a product up to date:
+// reprice them, take them off sale while any member is inactive and put
+// suspended ones back once all members are active again
+productSchema.statics.syncBundles = async function(memberId) {
+  const bundles = await this.find({ bundleProducts: memberId });
+
+  for (const bundle of bundles) {
+    const members = await this.find({ _id: { $in: bundle.bundleProducts } }).select('price isActive');
+    const allActive = members.length === bundle.bundleProducts.length && members.every(member => member.isActive);
+
+    bundle.bundleValue = Math.round(members
+      .filter(member => member.isActive)
+      .reduce((sum, member) => sum + member.price, 0) * 100) / 100;
+
+    if (!allActive && bundle.isActive) {
+      bundle.isActive = false;
+      bundle.bundleSuspended = true;
+    } else if (allActive && bundle.bundleSuspended) {
+      bundle.isActive = true;
+      bundle.bundleSuspended = false;
+    }
+
+    await bundle.save();
+  }
+
+  return bundles;
+};
+
+// Static method to run a product list query and count, in the same
+// aggregation, how its matches spread over categories, tags, techStack,
+// difficulty, license and price ranges. Resolves to the page of products,
+// the total and the facet counts.
+productSchema.statics.facetedSearch = async function(query, { sort, skip, limit }) {
+  const countBy = field => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  const countEach = field => [
+    { $unwind: field },
+    ...countBy(field),
+    { $limit: FACET_VALUE_LIMIT }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        products: [
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { files: 0, releases: 0, __v: 0 } }
+        ],
+        total: [{ $count: 'count' }],
+        categories: countBy('$category'),
+        tags: countEach('$tags'),
+        techStack: countEach('$techStack'),
+        difficulty: countBy('$difficulty'),
+        // Products with variants count once for each license on sale
+        licenses: [
+          {
+            $project: {
+              licenses: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                  {
+                    $setUnion: [{
+                      $map: {
+                        input: { $filter: { input: '$variants', cond: '$$this.isActive' } },
+                        in: '$$this.license'
+                      }
+                    }]
+                  },
+                  ['$license']
+                ]
+              }
+            }
+          },
+          ...countEach('$licenses')
+        ],
+        prices: [
+          { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'over', output: { count: { $sum: 1 } } } }
+        ]
+      }
+    }
+  ]);
+
+  const products = result.products.map(doc => this.hydrate(doc));
+  await this.populate(products, { path: 'createdBy', select: 'name' });
+
+  const toCounts = counts => counts.map(({ _id, count }) => ({ value: _id, count }));
+  const priceCounts = new Map(result.prices.map(({ _id, count }) => [_id, count]));
+
+  return {
+    products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      categories: toCounts(result.categories),
+      tags: toCounts(result.tags),
+      techStack: toCounts(result.techStack),
+      difficulty: toCounts(result.difficulty),
+      licenses: toCounts(result.licenses),
+      prices: PRICE_BUCKETS.map((min, index) => ({
+        min,
+        max: index + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[index + 1] : null,
+        count: priceCounts.get(index + 1 < PRICE_BUCKETS.length ? min : 'over') || 0
+      }))
+    }
+  };
+};
+
+// Static method for the fallback when a text search finds nothing: the
+// ids of products matching the rest of the query whose name or tags have
+// words starting with, or a typo or two away from, every search term.
+// The database first narrows the whole catalogue to names and tags with
+// a word starting like each term; the typo check then runs here.
+productSchema.statics.findFuzzyIds = async function(query, terms) {
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const { $text, ...rest } = query;
+  const prefixFilters = terms.map(term => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term.slice(0, FUZZY_PREFIX_LENGTH))}`, 'iu');
+    return { $or: [{ name: pattern }, { tags: pattern }] };
+  });
+
+  const candidates = await this.find({ ...rest, $and: [...(rest.$and || []), ...prefixFilters] })
+    .sort({ 'stats.sales': -1 })
+    .limit(FUZZY_CANDIDATE_LIMIT)
+    .select('name tags')
+    .lean();
+
+  return candidates
+    .filter(product => matchesAllTerms([product.name, ...(product.tags || [])], terms))
+    .map(product => product._id);
+};
+
+productSchema.statics.LICENSE_TIERS = LICENSE_TIERS;
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const refundItemSchema = new mongoose.Schema({
+  // Order line item id
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Ledger of money returned to customers, one entry per refund request
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Provider refund id
+  reference: String,
+  providerStatus: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  items: [refundItemSchema],
+  reason: String,
+  status: {
+    type: String,
+    // needs_reconciliation: the provider refunded but the order was not
+    // updated to match
+    enum: ['pending', 'succeeded', 'failed', 'needs_reconciliation'],
+    default: 'pending'
+  },
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ user: 1 });
+// Only one refund per order may be in flight at a time
+refundSchema.index({ order: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'pending' },
+  name: 'one_pending_refund_per_order'
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+// Reviews flagged by this many users are set aside for moderation
+const FLAG_THRESHOLD = 3;
+
+const reviewFlagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'off_topic', 'other'],
+    default: 'other'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A buyer's review of a product; one per user and product
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The paid order that entitled the user to review
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot be more than 2000 characters']
+  },
+  // published reviews count towards the rating; flagged ones still do
+  // until a moderator decides; hidden ones are neither shown nor counted
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'hidden'],
+    default: 'published'
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  flags: [reviewFlagSchema],
+  moderation: {
+    note: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, updatedAt: -1 });
+
+// Hide who voted and flagged from the public JSON
+reviewSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.helpfulVotes;
+    delete ret.flags;
+    return ret;
+  }
+});
+
+// Static method to recompute a product's rating from its visible reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: { $ne: 'hidden' } } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne({ _id: productId }, {
+    $set: {
+      'stats.rating.average': summary ? Math.round(summary.average * 10) / 10 : 0,
+      'stats.rating.count': summary ? summary.count : 0
+    }
+  });
+};
+
+// Static method to count a product's visible reviews per star rating
+reviewSchema.statics.getRatingDistribution = async function(productId) {
+  const counts = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: { $ne: 'hidden' } } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+  });
+  return distribution;
+};
+
+// Static method to record a helpful vote; false if the user already voted
+reviewSchema.statics.voteHelpful = async function(reviewId, userId) {
+  const result = await this.updateOne(
+    { _id: reviewId, helpfulVotes: { $ne: userId } },
+    { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to take back a helpful vote; false if there was none
+reviewSchema.statics.unvoteHelpful = async function(reviewId, userId) {
+  const result = await this.updateOne(
+    { _id: reviewId, helpfulVotes: userId },
+    { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to report a review. Once enough users have, a published
+// review is marked flagged for the moderation queue. Resolves to false if
+// the user had already reported it.
+reviewSchema.statics.flag = async function(reviewId, userId, reason) {
+  const review = await this.findOneAndUpdate(
+    { _id: reviewId, 'flags.user': { $ne: userId } },
+    { $push: { flags: { user: userId, reason } } },
+    { new: true }
+  );
+
+  if (!review) {
+    return false;
+  }
+
+  if (review.status === 'published' && review.flags.length >= FLAG_THRESHOLD) {
+    await this.updateOne({ _id: reviewId, status: 'published' }, { $set: { status: 'flagged' } });
+  }
+  return true;
+};
+
+// Keep the product's rating in step with every saved or deleted review
+reviewSchema.post('save', function() {
+  return this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, function() {
+  return this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.statics.FLAG_THRESHOLD = FLAG_THRESHOLD;
+
+module.exports = mongoose.model('Review', reviewSchema);
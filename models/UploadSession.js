@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Finished, aborted and expired sessions are kept this long for reference
+const RETENTION_DAYS = 7;
+
+const uploadPartSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  offset: {
+    type: Number,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A resumable upload of one large product file, received in chunks
+const uploadSessionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Total bytes the client will send
+  size: {
+    type: Number,
+    required: true,
+    min: [1, 'Upload size must be at least 1 byte']
+  },
+  // Expected sha256 (hex); may also be given when finalizing
+  checksum: String,
+  // Bytes received so far; the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Chunks stored so far, in order, on the driver below
+  parts: [uploadPartSchema],
+  storage: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'finalizing', 'completed', 'aborted', 'expired'],
+    default: 'uploading'
+  },
+  // Product file created when the upload completed
+  file: mongoose.Schema.Types.ObjectId,
+  failureReason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+// The expiry job cleans up stored chunks first; MongoDB drops the record later
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Virtual for upload progress as a percentage
+uploadSessionSchema.virtual('progress').get(function() {
+  return Math.floor((this.offset / this.size) * 100);
+});
+
+// Ensure virtual fields are serialized
+uploadSessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
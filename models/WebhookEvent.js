@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Provider's event id; unverified deliveries use a hash of the body
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  payload: mongoose.Schema.Types.Mixed,
+  rawBody: String,
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  nextAttemptAt: Date,
+  processedAt: Date,
+  // Outcome of the last processing attempt, e.g. { order, outcome, applied }
+  result: mongoose.Schema.Types.Mixed,
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,4 +1,17 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Refund = require('../models/Refund');
+const Review = require('../models/Review');
+const Category = require('../models/Category');
+const WebhookEvent = require('../models/WebhookEvent');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { transitionOrder } = require('../utils/orderLifecycle');
+const { refundOrder } = require('../utils/refunds');
+const { replayWebhookEvent } = require('../utils/webhookInbox');
+
 const router = express.Router();
 
 // Simple admin route - just returns success for now
@@ -64,4 +77,742 @@ router.post('/products', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/orders/:id/status
+// @desc    Change an order's status
+// @access  Private (Admin only)
+router.put('/orders/:id/status', [auth, admin], [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order id'),
+  body('status')
+    .isIn(Object.keys(Order.STATUS_TRANSITIONS))
+    .withMessage('Invalid order status'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Refunds move money, so they go through the refund endpoint
+    if (['refunded', 'partially_refunded'].includes(req.body.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/admin/orders/:id/refund to refund an order'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await transitionOrder(order, req.body.status, {
+      actor: req.user.id,
+      actorType: 'admin',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Admin update order status error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order status'
+    });
+  }
+});
+
+// @route   POST /api/admin/orders/:id/refund
+// @desc    Refund an order in full, or selected line items
+// @access  Private (Admin only)
+router.post('/orders/:id/refund', [auth, admin], [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order id'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Each item must reference an order line or product id'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await refundOrder(order, {
+      items: req.body.items,
+      reason: req.body.reason,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: refund.type === 'full' ? 'Order refunded successfully' : 'Partial refund issued successfully',
+      data: {
+        refund,
+        order
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin refund order error:', error);
+
+    if (error.statusCode === 502) {
+      return res.status(502).json({
+        success: false,
+        message: 'Payment provider rejected or could not process the refund'
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refunding order'
+    });
+  }
+});
+
+// @route   GET /api/admin/orders/:id/refunds
+// @desc    List refunds recorded against an order
+// @access  Private (Admin only)
+router.get('/orders/:id/refunds', [auth, admin], [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refunds = await Refund.find({ order: req.params.id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: refunds
+    });
+
+  } catch (error) {
+    console.error('Admin get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds'
+    });
+  }
+});
+
+// Validation shared by coupon create and update
+const couponValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Coupon code must be 3-30 letters, numbers, dashes or underscores'),
+    field('type')
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Coupon type must be percentage or fixed'),
+    field('value')
+      .isFloat({ min: 0 })
+      .withMessage('Coupon value must be a non-negative number'),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('minOrderValue').optional().isFloat({ min: 0 }),
+    body('startsAt').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('maxUses').optional().isInt({ min: -1 }).withMessage('Max uses must be -1 (unlimited) or more'),
+    body('maxUsesPerUser').optional().isInt({ min: -1 }).withMessage('Max uses per user must be -1 (unlimited) or more'),
+    body('categories').optional().isArray(),
+    body('categories.*').custom(async slug => {
+      if (!(await Category.isActiveSlug(slug))) {
+        throw new Error('Invalid category');
+      }
+    }),
+    body('products').optional().isArray(),
+    body('products.*').isMongoId().withMessage('Invalid product id'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const couponIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid coupon id')
+];
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'minOrderValue', 'startsAt', 'expiresAt',
+  'maxUses', 'maxUsesPerUser', 'categories', 'products', 'isActive'
+];
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons
+// @access  Private (Admin only)
+router.get('/coupons', [auth, admin], async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .sort({ createdAt: -1 })
+      .select('-redemptions');
+
+    res.json({
+      success: true,
+      data: coupons
+    });
+
+  } catch (error) {
+    console.error('Admin list coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get coupon with redemptions
+// @access  Private (Admin only)
+router.get('/coupons/:id', [auth, admin], couponIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email')
+      .populate('redemptions.order', 'orderNumber total status');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Admin get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon'
+    });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create coupon
+// @access  Private (Admin only)
+router.post('/coupons', [auth, admin], couponValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const couponData = { createdBy: req.user.id };
+    COUPON_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        couponData[key] = req.body[key];
+      }
+    });
+
+    const coupon = new Coupon(couponData);
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Admin create coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update coupon
+// @access  Private (Admin only)
+router.put('/coupons/:id', [auth, admin], couponIdValidation, couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    COUPON_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        coupon[key] = req.body[key];
+      }
+    });
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('Admin update coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete coupon (deactivates it if it has been redeemed)
+// @access  Private (Admin only)
+router.delete('/coupons/:id', [auth, admin], couponIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Keep redeemed coupons so orders still resolve their discount
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+    } else {
+      await coupon.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon'
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks
+// @desc    List stored webhook events
+// @access  Private (Admin only)
+router.get('/webhooks', [auth, admin], [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(WebhookEvent.schema.path('status').enumValues),
+  query('provider').optional().isAlphanumeric()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, provider } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (provider) filter.provider = provider;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-payload -rawBody -__v'),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook events'
+    });
+  }
+});
+
+const webhookIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook event id')
+];
+
+// @route   GET /api/admin/webhooks/:id
+// @desc    Get webhook event with payload
+// @access  Private (Admin only)
+router.get('/webhooks/:id', [auth, admin], webhookIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Admin get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook event'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/replay
+// @desc    Process a stored webhook event again
+// @access  Private (Admin only)
+router.post('/webhooks/:id/replay', [auth, admin], webhookIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await WebhookEvent.findById(req.params.id).select('status signatureValid');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    if (!existing.signatureValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Events with an invalid signature cannot be replayed'
+      });
+    }
+
+    const event = await replayWebhookEvent(req.params.id, { user: req.user.id });
+
+    if (!event) {
+      return res.status(409).json({
+        success: false,
+        message: 'Webhook event is already being processed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: event.status === 'failed' ? 'Replay failed' : 'Webhook event replayed',
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Admin replay webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replaying webhook event'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews
+// @desc    List reviews for moderation (flagged first by default)
+// @access  Private (Admin only)
+router.get('/reviews', [auth, admin], [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(Review.schema.path('status').enumValues),
+  query('product').optional().isMongoId().withMessage('Invalid product id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'flagged', product } = req.query;
+
+    const filter = { status };
+    if (product) filter.product = product;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'name email')
+        .populate('product', 'name slug')
+        .populate('flags.user', 'name email')
+        .select('-helpfulVotes -__v'),
+      Review.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      // toObject keeps the flags that the public JSON leaves out
+      data: reviews.map(review => review.toObject()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReviews: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   PUT /api/admin/reviews/:id/moderation
+// @desc    Publish, flag or hide a review
+// @access  Private (Admin only)
+router.put('/reviews/:id/moderation', [auth, admin], [
+  param('id').isMongoId().withMessage('Invalid review id'),
+  body('status')
+    .isIn(Review.schema.path('status').enumValues)
+    .withMessage('Invalid review status'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderation = {
+      note: req.body.note,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+
+    // Publishing again clears the reports that flagged it
+    if (review.status === 'published') {
+      review.flags = [];
+    }
+
+    // Saving recomputes the product's rating
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review moderated successfully',
+      data: review.toObject()
+    });
+
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review'
+    });
+  }
+});
+
 module.exports = router;
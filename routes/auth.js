@@ -3,9 +3,11 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/user');
+const Cart = require('../models/Cart');
 const auth = require('../middleware/auth');
 const sendEmail = require('../utils/sendEmail');
 const crypto = require('crypto');
+const { getGuestId, clearGuestId } = require('../utils/cartCookie');
 
 const router = express.Router();
 
@@ -176,6 +178,17 @@ router.post('/login', [
       expiresIn: process.env.JWT_EXPIRE || '7d'
     });
 
+    // Merge the guest cart into the user's cart
+    const guestId = getGuestId(req);
+    if (guestId) {
+      try {
+        await Cart.mergeGuestCart(guestId, user._id);
+        clearGuestId(res);
+      } catch (cartError) {
+        console.error('Guest cart merge failed:', cartError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const optionalAuth = require('../middleware/optionalAuth');
+const { getGuestId, issueGuestId } = require('../utils/cartCookie');
+
+const router = express.Router();
+
+router.use(optionalAuth);
+
+// Find the cart for the current user or guest cookie.
+// With create set, a missing cart (and guest cookie) is created.
+const resolveCart = async (req, res, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart && create) {
+      cart = new Cart({ user: req.user.id, items: [] });
+    }
+    return cart;
+  }
+
+  let guestId = getGuestId(req);
+  let cart = guestId ? await Cart.findOne({ guestId }) : null;
+
+  if (!cart && create) {
+    if (!guestId) {
+      guestId = issueGuestId(res);
+    }
+    cart = new Cart({ guestId, items: [] });
+  }
+
+  return cart;
+};
+
+const emptyCart = {
+  items: [],
+  itemCount: 0,
+  subtotal: 0,
+  total: 0,
+  coupon: null,
+  discount: 0,
+  hasIssues: false
+};
+
+// @route   GET /api/cart
+// @desc    Get current cart with live totals
+// @access  Public (guest cookie or token)
+router.get('/', async (req, res) => {
+  try {
+    const cart = await resolveCart(req, res);
+
+    res.json({
+      success: true,
+      data: cart ? await cart.summarize({ user: req.user }) : emptyCart
+    });
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add product to cart
+// @access  Public (guest cookie or token)
+router.post('/items', [
+  body('product')
+    .isMongoId()
+    .withMessage('A valid product is required'),
+  body('variant')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Variant must be a variant id or license tier'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.body.product);
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const pricing = product.getPricing(req.body.variant);
+
+    if (!pricing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is not sold with that license'
+      });
+    }
+
+    const cart = await resolveCart(req, res, { create: true });
+    cart.addItem(product, parseInt(req.body.quantity || 1), pricing);
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: await cart.summarize({ user: req.user })
+    });
+
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+});
+
+// @route   PUT /api/cart/items/:productId
+// @desc    Update item quantity
+// @access  Public (guest cookie or token)
+router.put('/items/:productId', [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product id'),
+  body('quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await resolveCart(req, res);
+
+    if (!cart || !cart.updateItem(req.params.productId, parseInt(req.body.quantity))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: await cart.summarize({ user: req.user })
+    });
+
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/items/:productId
+// @desc    Remove item from cart
+// @access  Public (guest cookie or token)
+router.delete('/items/:productId', [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await resolveCart(req, res);
+
+    if (!cart || !cart.removeItem(req.params.productId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: await cart.summarize({ user: req.user })
+    });
+
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Clear cart
+// @access  Public (guest cookie or token)
+router.delete('/', async (req, res) => {
+  try {
+    const cart = await resolveCart(req, res);
+
+    if (cart) {
+      cart.items = [];
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      data: emptyCart
+    });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/apply-coupon
+// @desc    Apply coupon code to cart
+// @access  Public (guest cookie or token)
+router.post('/apply-coupon', [
+  body('code')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon code must be between 3 and 30 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await resolveCart(req, res);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const coupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid coupon code'
+      });
+    }
+
+    await cart.populate('items.product', 'price isActive category license variants');
+    const check = coupon.checkApplicability({ user: req.user, items: cart.getPricedItems() });
+
+    if (!check.valid) {
+      return res.status(400).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: check.message,
+      data: await cart.summarize({ user: req.user })
+    });
+
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying coupon'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove coupon from cart
+// @access  Public (guest cookie or token)
+router.delete('/coupon', async (req, res) => {
+  try {
+    const cart = await resolveCart(req, res);
+
+    if (!cart) {
+      return res.json({
+        success: true,
+        message: 'Coupon removed',
+        data: emptyCart
+      });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon removed',
+      data: await cart.summarize({ user: req.user })
+    });
+
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing coupon'
+    });
+  }
+});
+
+module.exports = router;
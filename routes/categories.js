@@ -0,0 +1,348 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+
+const router = express.Router();
+
+const categoryValidation = (isUpdate) => {
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category name must be between 1 and 50 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters'),
+    body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category'),
+    body('icon').optional().trim().isLength({ max: 100 }),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be a whole number').toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+const categoryIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid category id')
+];
+
+const CATEGORY_FIELDS = ['name', 'description', 'parent', 'icon', 'sortOrder', 'isActive'];
+
+// Subcategories hang off a top-level category, one level deep. Resolves to
+// an error message, or null when the parent is fine.
+const checkParent = async (category, parentId) => {
+  if (!parentId) {
+    return null;
+  }
+  if (category._id && category._id.equals(parentId)) {
+    return 'A category cannot be its own parent';
+  }
+
+  const parent = await Category.findById(parentId).select('parent');
+  if (!parent) {
+    return 'Parent category not found';
+  }
+  if (parent.parent) {
+    return 'Subcategories cannot have subcategories of their own';
+  }
+  if (category._id && await Category.exists({ parent: category._id })) {
+    return 'A category with subcategories cannot become a subcategory';
+  }
+  return null;
+};
+
+// Active product counts keyed by category slug
+const countProducts = async () => {
+  const counts = await Product.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// Nest subcategories under their parents. A parent's productCount
+// includes its subcategories' products.
+const buildTree = (categories, counts) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    ...category.toObject(),
+    productCount: counts.get(category.slug) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+      parent.productCount += node.productCount;
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+// @route   GET /api/categories
+// @desc    Get categories as a tree, with product counts
+// @access  Public (admins may add ?includeInactive=true)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user && req.user.role === 'admin';
+
+    const [categories, counts] = await Promise.all([
+      Category.find(includeInactive ? {} : { isActive: true })
+        .sort({ sortOrder: 1, name: 1 })
+        .select('-__v'),
+      countProducts()
+    ]);
+
+    res.json({
+      success: true,
+      data: buildTree(categories, counts)
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+});
+
+// @route   GET /api/categories/:slug
+// @desc    Get a single category with its subcategories
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true }).select('-__v');
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [children, counts] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true })
+        .sort({ sortOrder: 1, name: 1 })
+        .select('-__v'),
+      countProducts()
+    ]);
+
+    res.json({
+      success: true,
+      data: buildTree([category, ...children], counts)[0]
+    });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching category'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (Admin only)
+router.post('/', [auth, admin], categoryValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Names and slugs stay unique across deleted categories too, since
+    // products may still carry the slug
+    const slug = Category.slugFor(req.body.name);
+    const existing = await Category.findOne({ $or: [{ name: req.body.name }, { slug }] });
+
+    if (existing && existing.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: existing.name === req.body.name
+          ? 'Category with this name already exists'
+          : `Category name gives the slug "${slug}", which "${existing.name}" already uses`
+      });
+    }
+
+    // Creating a deleted category again brings it back under its old slug
+    const category = existing || new Category({ createdBy: req.user.id });
+    if (existing) {
+      category.isActive = true;
+      category.updatedBy = req.user.id;
+    }
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    const parentError = await checkParent(existing ? category : {}, category.parent);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+
+    await category.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Category restored successfully' : 'Category created successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.keyPattern && error.keyPattern.slug
+          ? 'Category with this slug already exists'
+          : 'Category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category (the slug stays the same)
+// @access  Private (Admin only)
+router.put('/:id', [auth, admin], categoryIdValidation, categoryValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (req.body.parent !== undefined) {
+      const parentError = await checkParent(category, req.body.parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+    category.updatedBy = req.user.id;
+
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category (soft delete) that no longer has products
+// @access  Private (Admin only)
+router.delete('/:id', [auth, admin], categoryIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [products, subcategories] = await Promise.all([
+      Product.countDocuments({ category: category.slug, isActive: true }),
+      Category.countDocuments({ parent: category._id, isActive: true })
+    ]);
+
+    if (products > 0 || subcategories > 0) {
+      return res.status(409).json({
+        success: false,
+        message: products > 0
+          ? `Move the ${products} product(s) in this category first`
+          : 'Delete or move its subcategories first'
+      });
+    }
+
+    // Soft delete by setting isActive to false
+    category.isActive = false;
+    category.updatedBy = req.user.id;
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const Product = require('../models/Product');
+const Entitlement = require('../models/Entitlement');
+const { verifyDownloadToken } = require('../utils/downloadToken');
+const { streamFile } = require('../utils/fileDelivery');
+
+const router = express.Router();
+
+// @route   GET /api/downloads/:token
+// @desc    Stream a product file from a signed download link
+// @access  Public (the signed token is the credential)
+router.get('/:token', async (req, res) => {
+  try {
+    const grant = verifyDownloadToken(req.params.token);
+
+    // Buyers keep their files when a product is taken off sale, so only
+    // the entitlement below decides access, not isActive
+    const product = await Product.findById(grant.product).select('files releases');
+    const file = product ? product.findFile(grant.file) : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // The download was counted when the link was issued; here we only make
+    // sure access was not revoked (e.g. refunded) since then
+    if (!grant.bypassEntitlement) {
+      const entitlement = await Entitlement.findOne({
+        user: grant.user,
+        product: grant.product,
+        revokedAt: null
+      });
+
+      if (!entitlement) {
+        return res.status(403).json({
+          success: false,
+          message: 'You no longer have access to this product'
+        });
+      }
+    }
+
+    await streamFile(req, res, file);
+
+  } catch (error) {
+    console.error('Download file error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.statusCode === 502) {
+      return res.status(502).json({
+        success: false,
+        message: 'File storage is unavailable, please try again'
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading file'
+    });
+  }
+});
+
+module.exports = router;
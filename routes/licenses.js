@@ -0,0 +1,206 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const License = require('../models/License');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Key and domain checks shared by the endpoints plugins call
+const licenseValidation = (requireDomain) => [
+  body('key')
+    .trim()
+    .toUpperCase()
+    .matches(License.KEY_PATTERN)
+    .withMessage('A valid license key is required'),
+  (requireDomain ? body('domain') : body('domain').optional())
+    .customSanitizer(value => License.normalizeDomain(value))
+    .matches(/^[a-z0-9.-]+$|^\[::1\]$/)
+    .withMessage('A valid domain is required')
+];
+
+// Public view of a license for the plugin calling in
+const describeLicense = (license, domain) => ({
+  valid: license.status === 'active',
+  status: license.status,
+  tier: license.tier,
+  product: license.product,
+  maxActivations: license.maxActivations,
+  seatsUsed: license.seatsUsed,
+  activated: domain ? Boolean(license.getActivation(domain)) : undefined
+});
+
+// @route   GET /api/licenses
+// @desc    Get current user's license keys
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const licenses = await License.find({ user: req.user.id })
+      .populate('product', 'name slug category')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: licenses
+    });
+
+  } catch (error) {
+    console.error('Get licenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching licenses'
+    });
+  }
+});
+
+// @route   POST /api/licenses/validate
+// @desc    Check a license key, optionally for a domain (called by plugins)
+// @access  Public
+router.post('/validate', licenseValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, domain } = req.body;
+    const license = await License.findOne({ key }).populate('product', 'name slug');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    // Record when each site last phoned home
+    if (domain && license.getActivation(domain)) {
+      await License.updateOne(
+        { _id: license._id, 'activations.domain': domain },
+        { $set: { 'activations.$.lastCheckedAt': new Date() } }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: describeLicense(license, domain)
+    });
+
+  } catch (error) {
+    console.error('Validate license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while validating license'
+    });
+  }
+});
+
+// @route   POST /api/licenses/activate
+// @desc    Activate a license on a domain, using up a seat
+// @access  Public (the license key is the credential)
+router.post('/activate', licenseValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, domain } = req.body;
+    const existing = await License.findOne({ key });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    if (existing.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'This license has been revoked'
+      });
+    }
+
+    const license = await License.activate(key, domain);
+
+    if (!license) {
+      return res.status(409).json({
+        success: false,
+        message: 'All activations for this license are in use. Deactivate another site first.',
+        data: {
+          maxActivations: existing.maxActivations,
+          seatsUsed: existing.seatsUsed
+        }
+      });
+    }
+
+    await license.populate('product', 'name slug');
+
+    res.json({
+      success: true,
+      message: 'License activated',
+      data: describeLicense(license, domain)
+    });
+
+  } catch (error) {
+    console.error('Activate license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while activating license'
+    });
+  }
+});
+
+// @route   POST /api/licenses/deactivate
+// @desc    Free a license seat held by a domain
+// @access  Public (the license key is the credential)
+router.post('/deactivate', licenseValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, domain } = req.body;
+    const license = await License.findOneAndUpdate(
+      { key },
+      { $pull: { activations: { domain } } },
+      { new: true }
+    ).populate('product', 'name slug');
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'License deactivated',
+      data: describeLicense(license, domain)
+    });
+
+  } catch (error) {
+    console.error('Deactivate license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating license'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,67 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { transitionOrder } = require('../utils/orderLifecycle');
+const { listProviders } = require('../utils/payments');
+
 const router = express.Router();
 
-// Simple orders route - just returns empty array for now
 // @route   GET /api/orders
-// @desc    Get user orders
-// @access  Public (for now)
-router.get('/', async (req, res) => {
+// @desc    Get current user's orders
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('status').optional().isIn(Object.keys(Order.STATUS_TRANSITIONS))
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = { user: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('items.product', 'name slug images')
+        .select('-__v'),
+      Order.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
     res.json({
       success: true,
-      message: 'Orders endpoint working',
-      data: []
+      data: orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalOrders: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit)
+      }
     });
+
   } catch (error) {
     console.error('Get orders error:', error);
     res.status(500).json({
@@ -23,14 +73,180 @@ router.get('/', async (req, res) => {
 
 // @route   POST /api/orders
 // @desc    Create new order
-// @access  Public (for now)
-router.post('/', async (req, res) => {
+// @access  Private
+router.post('/', auth, idempotency, [
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Order must contain between 1 and 50 items'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Each item must reference a valid product'),
+  body('items.*.variant')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Variant must be a variant id or license tier'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100'),
+  body('paymentMethod')
+    .optional()
+    .custom(value => listProviders().includes(value))
+    .withMessage('Invalid payment method'),
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon code must be between 3 and 30 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
   try {
-    res.json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, paymentMethod, couponCode, notes } = req.body;
+
+    // Merge duplicate lines for the same product; one license per product
+    const quantities = new Map();
+    const variants = new Map();
+    for (const item of items) {
+      const id = item.product.toString();
+      const variant = item.variant || null;
+
+      if (variants.has(id) && variants.get(id) !== variant) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each product can only be ordered with one license'
+        });
+      }
+
+      variants.set(id, variant);
+      quantities.set(id, (quantities.get(id) || 0) + parseInt(item.quantity || 1));
+    }
+
+    const products = await Product.find({
+      _id: { $in: [...quantities.keys()] },
+      isActive: true
+    });
+
+    if (products.length !== quantities.size) {
+      const found = new Set(products.map(product => product.id));
+      return res.status(400).json({
+        success: false,
+        message: 'Some products are unavailable',
+        data: {
+          unavailable: [...quantities.keys()].filter(id => !found.has(id))
+        }
+      });
+    }
+
+    // Prices always come from the catalogue, never from the client
+    const pricing = new Map(products.map(product => [product.id, product.getPricing(variants.get(product.id))]));
+    const unpriced = products.filter(product => !pricing.get(product.id));
+
+    if (unpriced.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some products are not sold with the chosen license',
+        data: {
+          unavailable: unpriced.map(product => product.id)
+        }
+      });
+    }
+
+    const orderItems = products.map(product => ({
+      product: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: pricing.get(product.id).price,
+      quantity: quantities.get(product.id),
+      license: pricing.get(product.id).license,
+      variant: pricing.get(product.id).variant || undefined,
+      seats: pricing.get(product.id).seats,
+      bundleProducts: product.bundleProducts
+    }));
+
+    const order = new Order({
+      user: req.user.id,
+      email: req.user.email,
+      items: orderItems,
+      paymentMethod,
+      notes
+    });
+
+    let coupon = null;
+    if (couponCode) {
+      coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
+
+      if (!coupon) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid coupon code'
+        });
+      }
+
+      const check = coupon.checkApplicability({
+        user: req.user,
+        items: products.map(product => ({
+          product: product._id,
+          category: product.category,
+          price: pricing.get(product.id).price,
+          quantity: quantities.get(product.id)
+        }))
+      });
+
+      if (!check.valid) {
+        return res.status(400).json({
+          success: false,
+          message: check.message
+        });
+      }
+
+      order.discount = check.discount;
+      order.coupon = { coupon: coupon._id, code: coupon.code };
+
+      // Claim the redemption before the order exists so caps hold under
+      // concurrent checkouts
+      const redeemed = await Coupon.redeem(coupon, {
+        user: req.user.id,
+        order: order._id,
+        discount: check.discount
+      });
+
+      if (!redeemed) {
+        return res.status(409).json({
+          success: false,
+          message: 'This coupon has reached its usage limit'
+        });
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      if (coupon) {
+        await Coupon.release(coupon._id, order._id);
+      }
+      throw saveError;
+    }
+
+    res.status(201).json({
       success: true,
-      message: 'Order creation endpoint working',
-      data: { id: 'sample-order-id' }
+      message: 'Order created successfully',
+      data: order
     });
+
   } catch (error) {
     console.error('Create order error:', error);
     res.status(500).json({
@@ -40,4 +256,106 @@ router.post('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id
+// @desc    Get single order
+// @access  Private (Owner or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name slug images');
+
+    // Respond with 404 rather than 403 so order ids cannot be probed
+    if (!order || !order.isAccessibleBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an unpaid order
+// @access  Private (Owner)
+router.post('/:id/cancel', auth, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await transitionOrder(order, 'cancelled', {
+      actor: req.user.id,
+      actorType: 'user',
+      reason: req.body.reason || 'Cancelled by customer'
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling order'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,60 +1,324 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { transitionOrder } = require('../utils/orderLifecycle');
+const { getProvider, listProviders, applyPaymentResult } = require('../utils/payments');
+const { receiveWebhook } = require('../utils/webhookInbox');
+
 const router = express.Router();
 
-// Simple payments route - just returns success for now
-// @route   POST /api/payments/stripe
-// @desc    Process Stripe payment
-// @access  Public (for now)
-router.post('/stripe', async (req, res) => {
-  try {
-    res.json({
-      success: true,
-      message: 'Stripe payment endpoint working',
-      data: { paymentId: 'sample-payment-id', status: 'completed' }
+// Statuses from which a customer may (re)start a payment
+const PAYABLE_STATUSES = ['pending', 'awaiting_payment', 'failed'];
+
+// Resolve :provider to a registered provider, or 404
+const resolveProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: `Payment provider ${req.params.provider} is not available`
     });
-  } catch (error) {
-    console.error('Stripe payment error:', error);
-    res.status(500).json({
+  }
+
+  req.paymentProvider = provider;
+  next();
+};
+
+// Report provider and lifecycle errors with their status code
+const sendPaymentError = (res, error, fallbackMessage) => {
+  if (error.statusCode === 502) {
+    return res.status(502).json({
+      success: false,
+      message: 'Payment provider is unavailable, please try again'
+    });
+  }
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
       success: false,
-      message: 'Payment processing failed'
+      message: error.message
     });
   }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+// Acknowledge a webhook once it is stored. Processing failures are
+// retried from the inbox, so the provider does not need to redeliver.
+const sendWebhookReceipt = (res, { event, duplicate }) => {
+  res.json({
+    success: true,
+    received: true,
+    duplicate,
+    status: event ? event.status : undefined
+  });
+};
+
+// Per-provider routes from before providers were pluggable, and the
+// routes that replace them. /paypal/capture already matches
+// /:provider/capture.
+const LEGACY_ROUTES = {
+  '/stripe': '/stripe/create',
+  '/paypal': '/paypal/create',
+  '/chapa/initialize': '/chapa/create',
+  '/chapa/verify': '/chapa/capture'
+};
+
+// @route   POST /api/payments/stripe, /paypal, /chapa/initialize, /chapa/verify
+// @desc    Deprecated aliases, forwarded to /:provider/create and /:provider/capture
+// @access  Private
+router.post(Object.keys(LEGACY_ROUTES), (req, res, next) => {
+  const target = LEGACY_ROUTES[req.path];
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${req.baseUrl}${target}>; rel="successor-version"`);
+  req.url = target;
+  next();
 });
 
-// @route   POST /api/payments/paypal
-// @desc    Process PayPal payment
-// @access  Public (for now)
-router.post('/paypal', async (req, res) => {
+// @route   GET /api/payments/providers
+// @desc    List enabled payment providers
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders()
+  });
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhooks (kept for the endpoint configured in Stripe)
+// @access  Public (signed by Stripe)
+router.post('/webhook', async (req, res) => {
+  try {
+    sendWebhookReceipt(res, await receiveWebhook(getProvider('stripe'), req));
+
+  } catch (error) {
+    console.error('Webhook error:', error);
+    sendPaymentError(res, error, 'Webhook processing failed');
+  }
+});
+
+// @route   POST /api/payments/:provider/create
+// @desc    Start a payment for an order
+// @access  Private
+router.post('/:provider/create', auth, resolveProvider, idempotency, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('A valid order id is required'),
+  body('returnUrl')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Return URL must be a valid URL'),
+  body('cancelUrl')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Cancel URL must be a valid URL')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = req.paymentProvider;
+    const order = await Order.findOne({ _id: req.body.orderId, user: req.user.id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order is ${order.status} and cannot be paid`
+      });
+    }
+
+    if (order.total <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order total must be greater than zero'
+      });
+    }
+
+    const payment = await provider.createPayment(order, {
+      user: req.user,
+      returnUrl: req.body.returnUrl,
+      cancelUrl: req.body.cancelUrl,
+      apiUrl: process.env.API_URL || `${req.protocol}://${req.get('host')}`
+    });
+
+    order.paymentMethod = provider.name;
+    order.payment = {
+      provider: provider.name,
+      reference: payment.reference,
+      status: payment.providerStatus,
+      amount: payment.amount,
+      currency: payment.currency,
+      updatedAt: new Date()
+    };
+
+    if (order.status !== 'awaiting_payment') {
+      await transitionOrder(order, 'awaiting_payment', {
+        actor: req.user.id,
+        actorType: 'user',
+        reason: `${provider.name} payment started`
+      });
+    } else {
+      await order.save();
+    }
+
     res.json({
       success: true,
-      message: 'PayPal payment endpoint working',
-      data: { paymentId: 'sample-paypal-id', status: 'completed' }
+      message: 'Payment created',
+      data: {
+        orderId: order.id,
+        provider: provider.name,
+        reference: payment.reference,
+        ...payment.clientData
+      }
     });
+
   } catch (error) {
-    console.error('PayPal payment error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Payment processing failed'
+    console.error(`${req.params.provider} payment error:`, error);
+    sendPaymentError(res, error, 'Payment processing failed');
+  }
+});
+
+// @route   POST /api/payments/:provider/capture
+// @desc    Capture or verify a payment when the buyer returns
+// @access  Private
+router.post('/:provider/capture', auth, resolveProvider, idempotency, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('A valid order id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = req.paymentProvider;
+    const order = await Order.findOne({ _id: req.body.orderId, user: req.user.id });
+
+    if (!order || !order.payment || order.payment.provider !== provider.name) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found for this order'
+      });
+    }
+
+    // Returning to the site twice must not fail the second time
+    if (['paid', 'fulfilled'].includes(order.status)) {
+      return res.json({
+        success: true,
+        message: 'Order already paid',
+        data: { orderId: order.id, status: order.status }
+      });
+    }
+
+    const result = await provider.capture(order, req.body);
+
+    await applyPaymentResult(order, result, {
+      reason: `${provider.name} capture ${result.transactionId || order.payment.reference}`
     });
+
+    const paid = order.status === 'paid';
+    // Still clearing at the provider; its webhook settles the order
+    const pending = !paid && result.outcome === 'pending';
+
+    res.status(paid ? 200 : pending ? 202 : 402).json({
+      success: paid || pending,
+      message: paid
+        ? 'Payment completed successfully'
+        : pending ? 'Payment is being processed' : 'Payment has not been completed',
+      data: {
+        orderId: order.id,
+        status: order.status,
+        paymentStatus: result.outcome
+      }
+    });
+
+  } catch (error) {
+    console.error(`${req.params.provider} capture error:`, error);
+    sendPaymentError(res, error, 'Payment capture failed');
   }
 });
 
-// @route   POST /api/payments/webhook
-// @desc    Handle payment webhooks
-// @access  Public
-router.post('/webhook', async (req, res) => {
+// @route   GET /api/payments/:provider/callback
+// @desc    Provider redirect callback carrying a transaction reference
+// @access  Public (verified with the provider)
+router.get('/:provider/callback', resolveProvider, async (req, res) => {
   try {
+    const provider = req.paymentProvider;
+    const reference = provider.callbackReference ? provider.callbackReference(req.query) : null;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction reference is required'
+      });
+    }
+
+    const order = await Order.findOne({ 'payment.provider': provider.name, 'payment.reference': reference });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (!['paid', 'fulfilled'].includes(order.status)) {
+      const result = await provider.capture(order, {});
+      await applyPaymentResult(order, result, {
+        reason: `${provider.name} callback for ${reference}`
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Webhook received'
+      data: {
+        orderId: order.id,
+        status: order.status,
+        paid: ['paid', 'fulfilled'].includes(order.status)
+      }
     });
+
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Webhook processing failed'
-    });
+    console.error(`${req.params.provider} callback error:`, error);
+    sendPaymentError(res, error, 'Payment verification failed');
+  }
+});
+
+// @route   POST /api/payments/:provider/webhook
+// @desc    Handle provider webhooks (signatures verified by the provider)
+// @access  Public (signed by the provider)
+router.post('/:provider/webhook', resolveProvider, async (req, res) => {
+  try {
+    sendWebhookReceipt(res, await receiveWebhook(req.paymentProvider, req));
+
+  } catch (error) {
+    console.error(`${req.params.provider} webhook error:`, error);
+    sendPaymentError(res, error, 'Webhook processing failed');
   }
 });
 
@@ -1,23 +1,99 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const fs = require('fs');
+const { body, param, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const Entitlement = require('../models/Entitlement');
+const Review = require('../models/Review');
+const Category = require('../models/Category');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const upload = require('../middleware/upload');
+const { createDownloadToken } = require('../utils/downloadToken');
+const { notifyBuyersOfRelease } = require('../utils/releases');
+const semver = require('../utils/semver');
+const { storeUpload, removeStored } = require('../utils/storage');
+const { inspectFile, isAllowedFileType } = require('../utils/fileType');
+const { IMAGE_SIZES, storeImage, removeImages } = require('../utils/imageProcessing');
+const { escapeRegExp, searchTerms, highlight, highlightProduct } = require('../utils/search');
 
 const router = express.Router();
 
+// Category fields must name an active category
+const isCategory = async (slug) => {
+  if (!(await Category.isActiveSlug(slug))) {
+    throw new Error('Invalid category');
+  }
+};
+
+// License variants; multipart product forms send them as a JSON string
+const variantValidation = [
+  body('variants')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray({ max: Product.LICENSE_TIERS.length })
+    .withMessage(`Variants must be a list of up to ${Product.LICENSE_TIERS.length}`)
+    .custom(variants => new Set(variants.map(variant => variant && variant.license)).size === variants.length)
+    .withMessage('Each license tier can only have one variant'),
+  body('variants.*.license').isIn(Product.LICENSE_TIERS).withMessage('Invalid variant license'),
+  body('variants.*.name').optional().trim().isLength({ max: 50 }).withMessage('Variant name cannot be more than 50 characters'),
+  body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price must be a non-negative number'),
+  body('variants.*.originalPrice').optional().isFloat({ min: 0 }).withMessage('Variant original price must be a non-negative number'),
+  body('variants.*.files').optional().isArray().withMessage('Variant files must be a list of file names'),
+  body('variants.*.files.*').isString().trim(),
+  body('variants.*.seats').optional().isInt({ min: -1 }).withMessage('Seats must be -1 (unlimited) or more'),
+  body('variants.*.isActive').optional().isBoolean()
+];
+
+// Bundle members; multipart forms send them comma separated
+const bundleValidation = [
+  body('bundleProducts')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',').map(id => id.trim()).filter(Boolean) : value))
+    .isArray({ max: 50 })
+    .withMessage('Bundle products must be a list of up to 50 products'),
+  body('bundleProducts.*').isMongoId().withMessage('Invalid bundle product id')
+];
+
+// Multi-value list filters come repeated (?tags=a&tags=b) or comma
+// separated (?tags=a,b)
+const listFilter = name => query(name)
+  .optional()
+  .customSanitizer(value => [].concat(value).flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean))
+  .isArray({ min: 1, max: 20 })
+  .withMessage(`${name} must list between 1 and 20 values`);
+
+// With ?size=thumb|card|full, primaryImage points at that rendition
+const withImageSize = (product, size) => (
+  size ? { ...product.toJSON(), primaryImage: product.getPrimaryImage(size) } : product
+);
+
 // @route   GET /api/products
 // @desc    Get all products with filtering, sorting, and pagination
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('category').optional().isIn(['templates', 'components', 'themes', 'plugins', 'courses', 'ebooks', 'graphics', 'other']),
+  query('category').optional().trim().toLowerCase().isSlug().withMessage('Invalid category'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be non-negative'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative'),
+  query('license').optional().isIn(Product.LICENSE_TIERS).withMessage('Invalid license'),
   query('sort').optional().isIn(['newest', 'oldest', 'price-low', 'price-high', 'popular', 'rating']),
-  query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters')
+  query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters'),
+  query('size').optional().isIn(IMAGE_SIZES).withMessage(`Size must be one of: ${IMAGE_SIZES.join(', ')}`),
+  listFilter('tags'),
+  listFilter('techStack'),
+  listFilter('difficulty'),
+  query('difficulty.*').isIn(Product.schema.path('difficulty').enumValues).withMessage('Invalid difficulty'),
+  query('facets').optional().isBoolean().withMessage('Facets must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -37,24 +113,52 @@ router.get('/', [
       maxPrice,
       sort = 'newest',
       search,
-      featured
+      featured,
+      license,
+      size,
+      tags,
+      techStack,
+      difficulty,
+      facets
     } = req.query;
 
     // Build query
     let query = { isActive: true };
 
-    // Category filter
+    // Category filter, including its subcategories
     if (category) {
-      query.category = category;
+      const slugs = await Category.getSlugTree(category);
+      if (slugs.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      query.category = { $in: slugs };
     }
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    // Price range and license filters match a product when any license
+    // it is sold with fits, not just the cheapest
+    if (minPrice || maxPrice || license) {
+      const offer = {};
+      if (minPrice || maxPrice) {
+        offer.price = {};
+        if (minPrice) offer.price.$gte = parseFloat(minPrice);
+        if (maxPrice) offer.price.$lte = parseFloat(maxPrice);
+      }
+      if (license) offer.license = license;
+
+      query.$or = [
+        { 'variants.0': { $exists: false }, ...offer },
+        { variants: { $elemMatch: { ...offer, isActive: true } } }
+      ];
     }
 
+    // Multi-value filters match products with any of the listed values
+    if (tags) query.tags = { $in: tags };
+    if (techStack) query.techStack = { $in: techStack };
+    if (difficulty) query.difficulty = { $in: difficulty };
+
     // Featured filter
     if (featured === 'true') {
       query.isFeatured = true;
@@ -97,16 +201,43 @@ router.get('/', [
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [products, total] = await Promise.all([
-      Product.find(query)
-        .sort(sortObj)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('createdBy', 'name')
-        .select('-files -__v'),
-      Product.countDocuments(query)
-    ]);
+
+    const runQuery = (match, order) => {
+      if (facets === 'true') {
+        // Results, total and facet counts in a single aggregation
+        return Product.facetedSearch(match, {
+          sort: order,
+          skip,
+          limit: parseInt(limit)
+        });
+      }
+
+      return Promise.all([
+        Product.find(match)
+          .sort(order)
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('createdBy', 'name')
+          .select('-files -releases -__v'),
+        Product.countDocuments(match)
+      ]).then(([products, total]) => ({ products, total }));
+    };
+
+    let { products, total, facets: facetCounts } = await runQuery(query, sortObj);
+
+    // When the text search finds nothing, fall back to matching partial
+    // words and typos in names and tags
+    const terms = searchTerms(search);
+    let fuzzy = false;
+    if (search && total === 0) {
+      const ids = await Product.findFuzzyIds(query, terms);
+      if (ids.length > 0) {
+        const { $text, ...fuzzyQuery } = query;
+        const { score, ...fuzzySort } = sortObj;
+        ({ products, total, facets: facetCounts } = await runQuery({ ...fuzzyQuery, _id: { $in: ids } }, fuzzySort));
+        fuzzy = true;
+      }
+    }
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -115,7 +246,12 @@ router.get('/', [
 
     res.json({
       success: true,
-      data: products,
+      data: products.map(product => {
+        const data = withImageSize(product, size);
+        if (!search) return data;
+        // Matched fragments, HTML-escaped with <mark> around the matches
+        return { ...(size ? data : data.toJSON()), highlights: highlightProduct(product, terms) };
+      }),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -128,9 +264,15 @@ router.get('/', [
         category,
         minPrice,
         maxPrice,
+        license,
+        tags,
+        techStack,
+        difficulty,
         search,
+        fuzzy,
         sort
-      }
+      },
+      ...(facetCounts && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -142,21 +284,101 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/products/suggest
+// @desc    Autocomplete: product names and tags starting with what was typed
+// @access  Public
+router.get('/suggest', [
+  query('q').trim().isLength({ min: 1, max: 50 }).withMessage('Query must be between 1 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const { q } = req.query;
+    const terms = searchTerms(q);
+
+    // Every typed word must start a word of the name
+    const nameMatch = terms.length > 0
+      ? { $and: terms.map(term => ({ name: new RegExp(`\\b${escapeRegExp(term)}`, 'i') })) }
+      : { name: new RegExp(`^${escapeRegExp(q)}`, 'i') };
+    const tagMatch = new RegExp(`^${escapeRegExp(q)}`, 'i');
+
+    const [products, tags] = await Promise.all([
+      Product.find({ isActive: true, ...nameMatch })
+        .sort({ 'stats.sales': -1, 'stats.views': -1 })
+        .limit(8)
+        .select('name slug'),
+      Product.aggregate([
+        { $match: { isActive: true, tags: tagMatch } },
+        { $unwind: '$tags' },
+        { $match: { tags: tagMatch } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 5 }
+      ])
+    ]);
+
+    const highlightTerms = terms.length > 0 ? terms : [q.toLowerCase()];
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        products: products.map(product => ({
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          highlight: highlight(product.name, highlightTerms)
+        })),
+        tags: tags.map(({ _id, count }) => ({
+          value: _id,
+          count,
+          highlight: highlight(_id, highlightTerms)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Suggest products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product by ID or slug
 // @access  Public
-router.get('/:identifier', async (req, res) => {
+router.get('/:identifier', [
+  query('size').optional().isIn(IMAGE_SIZES).withMessage(`Size must be one of: ${IMAGE_SIZES.join(', ')}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
     const { identifier } = req.params;
     
     // Try to find by ID first, then by slug
     let product;
     if (identifier.match(/^[0-9a-fA-F]{24}$/)) {
       // Valid ObjectId
-      product = await Product.findById(identifier);
+      product = await Product.findById(identifier).select('-releases');
     } else {
       // Assume it's a slug
-      product = await Product.findOne({ slug: identifier });
+      product = await Product.findOne({ slug: identifier }).select('-releases');
     }
 
     if (!product || !product.isActive) {
@@ -171,10 +393,13 @@ router.get('/:identifier', async (req, res) => {
 
     // Populate related data
     await product.populate('createdBy', 'name avatar');
+    if (product.isBundle) {
+      await product.populate('bundleProducts', 'name slug price originalPrice images category isActive');
+    }
 
     res.json({
       success: true,
-      data: product
+      data: withImageSize(product, req.query.size)
     });
 
   } catch (error) {
@@ -198,13 +423,20 @@ router.post('/', [auth, admin, upload.array('images', 10)], [
     .trim()
     .isLength({ min: 10, max: 2000 })
     .withMessage('Description must be between 10 and 2000 characters'),
+  ...variantValidation,
+  ...bundleValidation,
+  // With variants the headline price comes from the cheapest one
   body('price')
+    .if((value, { req }) => !Array.isArray(req.body.variants) || req.body.variants.length === 0)
     .isFloat({ min: 0 })
     .withMessage('Price must be a non-negative number'),
   body('category')
-    .isIn(['templates', 'components', 'themes', 'plugins', 'courses', 'ebooks', 'graphics', 'other'])
-    .withMessage('Invalid category')
+    .trim()
+    .toLowerCase()
+    .custom(isCategory)
 ], async (req, res) => {
+  let storedImages = [];
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -220,13 +452,16 @@ router.post('/', [auth, admin, upload.array('images', 10)], [
       createdBy: req.user.id
     };
 
-    // Handle uploaded images
+    // Resize uploaded images into renditions and store them
     if (req.files && req.files.length > 0) {
-      productData.images = req.files.map((file, index) => ({
-        url: file.path,
-        alt: `${req.body.name} - Image ${index + 1}`,
-        isPrimary: index === 0
-      }));
+      for (const [index, file] of req.files.entries()) {
+        storedImages.push(await storeImage(file, {
+          alt: `${req.body.name} - Image ${index + 1}`,
+          isPrimary: index === 0
+        }));
+      }
+
+      productData.images = storedImages;
     }
 
     // Parse arrays from form data
@@ -253,6 +488,9 @@ router.post('/', [auth, admin, upload.array('images', 10)], [
 
   } catch (error) {
     console.error('Create product error:', error);
+
+    // Do not leave images behind for a product that was never saved
+    removeImages(storedImages).catch(err => console.error('Error removing stored images:', err));
     
     if (error.code === 11000) {
       return res.status(400).json({
@@ -261,6 +499,20 @@ router.post('/', [auth, admin, upload.array('images', 10)], [
       });
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 502 ? 'File storage is unavailable, please try again' : error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while creating product'
@@ -288,8 +540,11 @@ router.put('/:id', [auth, admin], [
     .withMessage('Price must be a non-negative number'),
   body('category')
     .optional()
-    .isIn(['templates', 'components', 'themes', 'plugins', 'courses', 'ebooks', 'graphics', 'other'])
-    .withMessage('Invalid category')
+    .trim()
+    .toLowerCase()
+    .custom(isCategory),
+  ...variantValidation,
+  ...bundleValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -330,6 +585,14 @@ router.put('/:id', [auth, admin], [
 
   } catch (error) {
     console.error('Update product error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while updating product'
@@ -370,48 +633,519 @@ router.delete('/:id', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   POST /api/products/:id/files
+// @desc    Upload deliverable files (zips, PDFs, videos) for a product
+// @access  Private (Admin only)
+router.post('/:id/files', [auth, admin, upload.uploadFiles.array('files', 10)], async (req, res) => {
+  const uploads = req.files || [];
+  const storedFiles = [];
+
+  try {
+    if (uploads.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one file'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Check every file's content before storing any of them
+    const inspections = [];
+    for (const file of uploads) {
+      const inspection = await inspectFile(file.path);
+
+      if (!isAllowedFileType(inspection.type)) {
+        return res.status(415).json({
+          success: false,
+          message: `${file.originalname} is not an allowed file type`
+        });
+      }
+
+      inspections.push(inspection);
+    }
+
+    for (const [index, file] of uploads.entries()) {
+      const stored = await storeUpload(file, `files/${product._id}`);
+      storedFiles.push({
+        name: file.originalname,
+        key: stored.key,
+        storage: stored.storage,
+        size: inspections[index].size,
+        type: inspections[index].type,
+        checksum: inspections[index].checksum
+      });
+    }
+
+    const added = product.addFiles(storedFiles);
+
+    product.updatedBy = req.user.id;
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Files uploaded successfully',
+      data: added.map(({ _id, name, size, type, checksum }) => ({ id: _id, name, size, type, checksum }))
+    });
+
+  } catch (error) {
+    console.error('Upload product files error:', error);
+
+    removeStored(storedFiles).catch(err => console.error('Error removing stored files:', err));
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.statusCode === 502 ? 'File storage is unavailable, please try again' : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading files'
+    });
+  } finally {
+    // The temp copies are no longer needed once stored (or rejected)
+    uploads.forEach(file => {
+      fs.promises.unlink(file.path).catch(() => {});
+    });
+  }
+});
+
+// @route   GET /api/products/:id/releases
+// @desc    Get a product's release history
+// @access  Public
+router.get('/:id/releases', [
+  param('id').isMongoId().withMessage('Invalid product id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('name slug isActive latestVersion releases');
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Newest first, without the storage URLs
+    const releases = product.releases
+      .slice()
+      .sort((a, b) => semver.compare(b.version, a.version))
+      .map(release => ({
+        version: release.version,
+        changelog: release.changelog,
+        releasedAt: release.releasedAt,
+        files: release.files.map(file => ({ name: file.name, size: file.size, type: file.type }))
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        latestVersion: product.latestVersion || null,
+        releases
+      }
+    });
+
+  } catch (error) {
+    console.error('Get releases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching releases'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/releases
+// @desc    Publish a new release of a product
+// @access  Private (Admin only)
+router.post('/:id/releases', [auth, admin], [
+  param('id').isMongoId().withMessage('Invalid product id'),
+  body('version')
+    .trim()
+    .custom(value => semver.isValid(value))
+    .withMessage('Version must be a semantic version like 1.4.0'),
+  body('changelog')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Changelog cannot be more than 5000 characters'),
+  body('files')
+    .isArray({ min: 1 })
+    .withMessage('A release needs at least one file'),
+  body('files.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Each file needs a name'),
+  body('files.*.url')
+    .trim()
+    .notEmpty()
+    .withMessage('Each file needs a url'),
+  body('files.*.size').optional().isInt({ min: 0 }),
+  body('notifyBuyers').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const release = product.addRelease({
+      version: req.body.version,
+      changelog: req.body.changelog,
+      files: req.body.files.map(({ name, url, size, type }) => ({ name, url, size, type })),
+      releasedBy: req.user.id
+    });
+
+    product.updatedBy = req.user.id;
+    await product.save();
+
+    // Emails go out in the background; the release is already live
+    const notifyBuyers = req.body.notifyBuyers === true || req.body.notifyBuyers === 'true';
+    if (notifyBuyers) {
+      notifyBuyersOfRelease(product, release).catch(err => console.error('Error notifying buyers of release:', err));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Release published successfully',
+      data: {
+        release,
+        latestVersion: product.latestVersion,
+        notifyingBuyers: notifyBuyers
+      }
+    });
+
+  } catch (error) {
+    console.error('Create release error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while publishing release'
+    });
+  }
+});
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  'rating-high': { rating: -1, createdAt: -1 },
+  'rating-low': { rating: 1, createdAt: -1 }
+};
+
+// @route   GET /api/products/:id/reviews
+// @desc    Get a product's reviews with its rating summary
+// @access  Public
+router.get('/:id/reviews', [
+  param('id').isMongoId().withMessage('Invalid product id'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS)).withMessage(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`),
+  query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('isActive stats.rating');
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { page = 1, limit = 10, sort = 'newest', rating } = req.query;
+    const filter = { product: product._id, status: { $ne: 'hidden' } };
+    if (rating) {
+      filter.rating = parseInt(rating);
+    }
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[sort])
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('user', 'name avatar')
+        .select('-__v'),
+      Review.countDocuments(filter),
+      Review.getRatingDistribution(product._id)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          average: product.stats.rating.average,
+          count: product.stats.rating.count,
+          distribution
+        },
+        reviews
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalReviews: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product you bought
+// @access  Private (Must own the product)
+router.post('/:id/reviews', auth, [
+  param('id').isMongoId().withMessage('Invalid product id'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot be more than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('isActive');
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Only buyers who still have access may review
+    const entitlement = await Entitlement.findOne({
+      user: req.user.id,
+      product: product._id,
+      revokedAt: null
+    }).select('orders');
+
+    if (!entitlement) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products you have bought'
+      });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user.id,
+      order: entitlement.orders[entitlement.orders.length - 1],
+      rating: req.body.rating,
+      title: req.body.title,
+      comment: req.body.comment
+    });
+
+    await review.populate('user', 'name avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding review'
+    });
+  }
+});
+
 // @route   GET /api/products/:id/download
-// @desc    Download product files
+// @desc    Download product files (latest release, or ?version=x.y.z)
 // @access  Private (Must own the product)
-router.get('/:id/download', auth, async (req, res) => {
+router.get('/:id/download', auth, [
+  query('version')
+    .optional()
+    .custom(value => semver.isValid(value))
+    .withMessage('Version must be a semantic version like 1.4.0')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const product = await Product.findById(req.params.id);
-    
-    if (!product || !product.isActive) {
+
+    // Products taken off sale (deleted, or a suspended bundle) stay
+    // downloadable for the buyers who are entitled to them
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
-    // Check if user has purchased this product
-    // This would typically check against orders/purchases
-    // For now, we'll allow admin users to download
+    const release = req.query.version ? product.getRelease(req.query.version) : null;
+
+    if (req.query.version && !release) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.query.version} not found`
+      });
+    }
+
+    // Admins can download anything; buyers spend one download from their
+    // entitlement per request
+    let entitlement = null;
     if (req.user.role !== 'admin') {
-      // TODO: Check if user has purchased this product
-      // const hasPurchased = await Order.findOne({
-      //   user: req.user.id,
-      //   'items.product': product._id,
-      //   status: 'completed'
-      // });
-      
-      // if (!hasPurchased) {
-      //   return res.status(403).json({
-      //     success: false,
-      //     message: 'You must purchase this product to download it'
-      //   });
-      // }
+      const result = await Entitlement.consumeDownload(req.user.id, product._id);
+
+      if (result.reason === 'not_purchased' && !product.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      if (result.reason === 'not_purchased' || result.reason === 'revoked') {
+        return res.status(403).json({
+          success: false,
+          message: result.reason === 'revoked'
+            ? 'Your access to this product has been revoked'
+            : 'You must purchase this product to download it'
+        });
+      }
+
+      if (result.reason === 'limit_reached') {
+        return res.status(429).json({
+          success: false,
+          message: 'You have used all downloads for this product',
+          data: {
+            downloadLimit: result.entitlement.downloadLimit,
+            downloadsUsed: result.entitlement.downloadsUsed
+          }
+        });
+      }
+
+      entitlement = result.entitlement;
     }
 
     // Increment download count
     product.incrementDownloads().catch(err => console.error('Error incrementing downloads:', err));
 
+    // Buyers get the files included in the variants they bought
+    let available = release ? release.files : product.files;
+    if (entitlement) {
+      available = product.filesForVariants(available, await entitlement.getVariants());
+    }
+
+    // Hand out short-lived signed links instead of the storage URLs
+    const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const files = available.map(file => {
+      const { token, expiresAt } = createDownloadToken({
+        user: req.user.id,
+        product: product._id,
+        file: file._id,
+        bypassEntitlement: req.user.role === 'admin'
+      });
+
+      return {
+        id: file._id,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        url: `${apiUrl}/api/downloads/${token}`,
+        expiresAt
+      };
+    });
+
     res.json({
       success: true,
       message: 'Download links generated',
       data: {
-        files: product.files,
-        downloadUrl: product.files[0]?.url || null
+        version: release ? release.version : product.latestVersion || null,
+        files,
+        downloadUrl: files[0]?.url || null,
+        downloadsRemaining: entitlement ? entitlement.downloadsRemaining : null
       }
     });
 
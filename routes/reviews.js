@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const reviewIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review id')
+];
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit your own review
+// @access  Private
+router.put('/:id', auth, [
+  ...reviewIdValidation,
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot be more than 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+
+    ['rating', 'title', 'comment'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+    review.editedAt = new Date();
+
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete your own review (admins may delete any)
+// @access  Private
+router.delete('/:id', auth, reviewIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own reviews'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Mark a review as helpful
+// @access  Private
+router.post('/:id/helpful', auth, reviewIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select('user status');
+
+    if (!review || review.status === 'hidden') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    const voted = await Review.voteHelpful(review._id, req.user._id);
+
+    if (!voted) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already marked this review as helpful'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for your feedback'
+    });
+
+  } catch (error) {
+    console.error('Vote review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voting on review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id/helpful
+// @desc    Take back a helpful vote
+// @access  Private
+router.delete('/:id/helpful', auth, reviewIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await Review.unvoteHelpful(req.params.id, req.user._id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not marked this review as helpful'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote removed'
+    });
+
+  } catch (error) {
+    console.error('Unvote review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing vote'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/flag
+// @desc    Report a review to the moderators
+// @access  Private
+router.post('/:id/flag', auth, [
+  ...reviewIdValidation,
+  body('reason')
+    .optional()
+    .isIn(Review.schema.path('flags').schema.path('reason').enumValues)
+    .withMessage('Invalid reason')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select('status');
+
+    if (!review || review.status === 'hidden') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const flagged = await Review.flag(review._id, req.user._id, req.body.reason);
+
+    if (!flagged) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review reported to the moderators'
+    });
+
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting review'
+    });
+  }
+});
+
+module.exports = router;
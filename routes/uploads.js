@@ -0,0 +1,345 @@
+const express = require('express');
+const path = require('path');
+const { body, param, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const UploadSession = require('../models/UploadSession');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { DELIVERABLE_EXTENSIONS } = require('../middleware/upload');
+const {
+  createSession,
+  appendChunk,
+  finalizeSession,
+  abortSession,
+  getMaxChunkSize
+} = require('../utils/uploadSessions');
+
+const router = express.Router();
+
+// Chunks are sent as raw bytes with this content type
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+const describeSession = session => ({
+  id: session._id,
+  product: session.product,
+  fileName: session.fileName,
+  size: session.size,
+  offset: session.offset,
+  progress: session.progress,
+  status: session.status,
+  file: session.file,
+  failureReason: session.failureReason,
+  maxChunkSize: getMaxChunkSize(),
+  expiresAt: session.expiresAt
+});
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid upload id')
+];
+
+// Map errors thrown by utils/uploadSessions onto responses
+const sendUploadError = (res, error, fallback) => {
+  if (error.offset !== undefined) {
+    res.set('Upload-Offset', String(error.offset));
+  }
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.statusCode === 502 ? 'File storage is unavailable, please try again' : error.message,
+      offset: error.offset,
+      checksum: error.checksum
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallback
+  });
+};
+
+// @route   POST /api/uploads
+// @desc    Start a resumable upload of a product file
+// @access  Private/Admin
+router.post('/', [auth, admin], [
+  body('productId')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  body('fileName')
+    .trim()
+    .notEmpty()
+    .withMessage('File name is required')
+    .custom(value => DELIVERABLE_EXTENSIONS.includes(path.extname(value).toLowerCase()))
+    .withMessage(`File type not allowed. Allowed: ${DELIVERABLE_EXTENSIONS.join(', ')}`),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be a positive number of bytes')
+    .toInt(),
+  body('checksum')
+    .optional()
+    .isHash('sha256')
+    .withMessage('Checksum must be a sha256 hex digest')
+    .toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { productId, fileName, size, checksum } = req.body;
+    const product = await Product.findById(productId).select('_id');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const session = await createSession({
+      product,
+      user: req.user.id,
+      fileName,
+      size,
+      checksum
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/${session._id}`)
+      .set('Upload-Offset', '0')
+      .set('Upload-Length', String(session.size))
+      .json({
+        success: true,
+        message: 'Upload started',
+        data: describeSession(session)
+      });
+
+  } catch (error) {
+    console.error('Create upload error:', error);
+    sendUploadError(res, error, 'Server error while starting upload');
+  }
+});
+
+// @route   HEAD /api/uploads/:id
+// @desc    Get the offset to resume an upload from
+// @access  Private/Admin
+router.head('/:id', [auth, admin], sessionIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).end();
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.size),
+      'Cache-Control': 'no-store'
+    }).status(200).end();
+
+  } catch (error) {
+    console.error('Get upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get an upload's status
+// @access  Private/Admin
+router.get('/:id', [auth, admin], sessionIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store').json({
+      success: true,
+      data: describeSession(session)
+    });
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching upload'
+    });
+  }
+});
+
+// @route   PATCH /api/uploads/:id
+// @desc    Send the next chunk, starting at the Upload-Offset header
+// @access  Private/Admin
+router.patch('/:id', [auth, admin], sessionIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({
+        success: false,
+        message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    const length = Number(req.get('Content-Length'));
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header is required'
+      });
+    }
+
+    if (!Number.isInteger(length) || length < 1) {
+      return res.status(411).json({
+        success: false,
+        message: 'Content-Length header is required'
+      });
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    const updated = await appendChunk(session, req, { offset, length });
+
+    res.set('Upload-Offset', String(updated.offset)).json({
+      success: true,
+      message: 'Chunk received',
+      data: describeSession(updated)
+    });
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    sendUploadError(res, error, 'Server error while storing chunk');
+  }
+});
+
+// @route   POST /api/uploads/:id/finalize
+// @desc    Assemble the chunks, verify the checksum and attach the file to the product
+// @access  Private/Admin
+router.post('/:id/finalize', [auth, admin], [
+  ...sessionIdValidation,
+  body('checksum')
+    .optional()
+    .isHash('sha256')
+    .withMessage('Checksum must be a sha256 hex digest')
+    .toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    const { session: completed, file } = await finalizeSession(session, { checksum: req.body.checksum });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload completed',
+      data: {
+        upload: describeSession(completed),
+        file: {
+          id: file._id,
+          name: file.name,
+          size: file.size,
+          type: file.type,
+          checksum: file.checksum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Finalize upload error:', error);
+    sendUploadError(res, error, 'Server error while finalizing upload');
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Cancel an upload and delete its chunks
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], sessionIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await UploadSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    await abortSession(session);
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    sendUploadError(res, error, 'Server error while cancelling upload');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// Run database migrations that have not been applied yet:
+//
+//   npm run migrate
+//
+// Each migration runs once; applied ones are recorded in the `migrations`
+// collection. Migrations must be safe to re-run if one fails halfway.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const migrations = [
+  {
+    // Product categories used to be a fixed list in the Product schema.
+    // Create the Category documents and make every product's category a
+    // slug that names one.
+    name: '001-category-collection',
+    up: async () => {
+      for (const { name, slug } of Category.DEFAULT_CATEGORIES) {
+        await Category.updateOne({ slug }, { $setOnInsert: { name, slug } }, { upsert: true });
+      }
+
+      const values = await Product.distinct('category');
+      for (const value of values) {
+        const slug = slugify(String(value), { lower: true, strict: true }) || 'other';
+
+        if (!(await Category.exists({ slug }))) {
+          const name = slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+          await Category.create({ name, slug });
+          console.log(`  created category "${slug}"`);
+        }
+
+        if (slug !== value) {
+          const result = await Product.updateMany({ category: value }, { $set: { category: slug } });
+          console.log(`  moved ${result.modifiedCount} product(s) from "${value}" to "${slug}"`);
+        }
+      }
+    }
+  }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nibras-backend');
+  const applied = mongoose.connection.collection('migrations');
+
+  for (const migration of migrations) {
+    if (await applied.findOne({ name: migration.name })) {
+      continue;
+    }
+
+    console.log(`Running ${migration.name}`);
+    await migration.up();
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+  }
+
+  console.log('Migrations complete');
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -14,11 +14,27 @@ require('dotenv').config();
 require('./models/User');
 require('./models/Product');
 require('./models/Order');
+require('./models/Cart');
+require('./models/Coupon');
+require('./models/IdempotencyKey');
+require('./models/WebhookEvent');
+require('./models/Refund');
+require('./models/Entitlement');
+require('./models/License');
+require('./models/UploadSession');
+require('./models/Review');
+require('./models/Category');
 // ... any other models
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
+const cartRoutes = require('./routes/cart');
+const downloadRoutes = require('./routes/downloads');
+const licenseRoutes = require('./routes/licenses');
+const uploadRoutes = require('./routes/uploads');
+const reviewRoutes = require('./routes/reviews');
 const paymentRoutes = require('./routes/payments');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
@@ -27,7 +43,11 @@ const newsletterRoutes = require('./routes/newsletter');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { handleUploadError } = require('./middleware/upload');
 const logger = require('./utils/logger');
+const { startWebhookRetries } = require('./utils/webhookInbox');
+const { startUploadCleanup } = require('./utils/uploadSessions');
+const { getStorage } = require('./utils/storage');
 
 const app = express();
 
@@ -61,6 +81,9 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Resumable downloads issue many range requests against one signed link,
+  // and resumable uploads send many chunks to one session
+  skip: (req) => req.path.startsWith('/downloads/') || req.path.startsWith('/uploads/')
 });
 
 app.use('/api/', limiter);
@@ -96,14 +119,23 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'Range', 'Upload-Offset', 'Upload-Length'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'Upload-Offset', 'Upload-Length', 'Location']
 };
 
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks verify signatures against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -115,7 +147,7 @@ app.use(xss());
 
 // Prevent parameter pollution
 app.use(hpp({
-  whitelist: ['sort', 'fields', 'page', 'limit', 'category', 'price']
+  whitelist: ['sort', 'fields', 'page', 'limit', 'category', 'price', 'tags', 'techStack', 'difficulty']
 }));
 
 // Compression middleware
@@ -137,6 +169,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nibras-ba
 })
 .then(() => {
   logger.info('Connected to MongoDB');
+  startWebhookRetries();
+  startUploadCleanup();
 })
 .catch((error) => {
   logger.error('MongoDB connection error:', error);
@@ -153,10 +187,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Product images kept on local disk (the local storage driver)
+app.use('/uploads', getStorage('local').serveStatic());
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/downloads', downloadRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/reviews', reviewRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
@@ -172,7 +215,13 @@ app.get('/api/docs', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       products: '/api/products',
+      categories: '/api/categories',
       orders: '/api/orders',
+      cart: '/api/cart',
+      downloads: '/api/downloads',
+      licenses: '/api/licenses',
+      uploads: '/api/uploads',
+      reviews: '/api/reviews',
       payments: '/api/payments',
       users: '/api/users',
       admin: '/api/admin',
@@ -191,6 +240,9 @@ app.all('*', (req, res) => {
   });
 });
 
+// Upload errors (file too large, too many files, wrong type)
+app.use(handleUploadError);
+
 // Global error handler
 app.use(errorHandler);
 
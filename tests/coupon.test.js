@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+
+const userId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+
+const items = [
+  { product: productId, category: 'themes', price: 40, quantity: 1 },
+  { product: new mongoose.Types.ObjectId(), category: 'plugins', price: 10, quantity: 2 }
+];
+
+const newCoupon = fields => new Coupon({ code: 'SAVE10', type: 'percentage', value: 10, ...fields });
+
+describe('coupons', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkApplicability', () => {
+    it('applies a percentage to the whole order', () => {
+      expect(newCoupon().checkApplicability({ user: userId, items })).toEqual({
+        valid: true,
+        message: 'Coupon applied',
+        discount: 6
+      });
+    });
+
+    it('limits a fixed discount to the eligible items', () => {
+      const coupon = newCoupon({ type: 'fixed', value: 100, categories: ['plugins'] });
+
+      expect(coupon.checkApplicability({ user: userId, items }).discount).toBe(20);
+    });
+
+    it('rejects a coupon that reached its usage limit', () => {
+      const result = newCoupon({ maxUses: 5, usedCount: 5 }).checkApplicability({ user: userId, items });
+
+      expect(result).toMatchObject({ valid: false, message: 'This coupon has reached its usage limit' });
+    });
+
+    it('rejects a user who has used up their redemptions', () => {
+      const coupon = newCoupon({
+        maxUsesPerUser: 1,
+        redemptions: [{ user: userId, order: new mongoose.Types.ObjectId(), discount: 5 }]
+      });
+
+      expect(coupon.checkApplicability({ user: userId, items }).valid).toBe(false);
+      expect(coupon.checkApplicability({ user: new mongoose.Types.ObjectId(), items }).valid).toBe(true);
+    });
+
+    it('treats -1 as unlimited', () => {
+      const coupon = newCoupon({
+        maxUses: -1,
+        maxUsesPerUser: -1,
+        usedCount: 1000,
+        redemptions: [{ user: userId, order: new mongoose.Types.ObjectId(), discount: 5 }]
+      });
+
+      expect(coupon.checkApplicability({ user: userId, items }).valid).toBe(true);
+    });
+
+    it('rejects expired coupons and orders under the minimum', () => {
+      expect(newCoupon({ expiresAt: new Date(Date.now() - 1000) }).checkApplicability({ items }).message)
+        .toBe('This coupon has expired');
+      expect(newCoupon({ minOrderValue: 100 }).checkApplicability({ items }).valid).toBe(false);
+    });
+  });
+
+  describe('redeem', () => {
+    it('puts both caps in the update filter so concurrent checkouts cannot exceed them', async () => {
+      const coupon = newCoupon({ maxUses: 10, maxUsesPerUser: 2 });
+      const findOneAndUpdate = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+      const order = new mongoose.Types.ObjectId();
+
+      const result = await Coupon.redeem(coupon, { user: userId, order, discount: 6 });
+
+      expect(result).toBeNull();
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: coupon._id, isActive: true });
+      expect(filter.$expr.$and).toHaveLength(2);
+      expect(filter.$expr.$and[0]).toEqual({ $lt: ['$usedCount', '$maxUses'] });
+      expect(JSON.stringify(filter.$expr.$and[1])).toContain(userId.toString());
+      expect(update).toEqual({
+        $inc: { usedCount: 1 },
+        $push: { redemptions: { user: userId, order, discount: 6 } }
+      });
+    });
+
+    it('leaves unlimited caps out of the filter', async () => {
+      const findOneAndUpdate = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({});
+
+      await Coupon.redeem(newCoupon({ maxUses: -1, maxUsesPerUser: -1 }), { user: userId, discount: 1 });
+
+      expect(findOneAndUpdate.mock.calls[0][0].$expr).toBeUndefined();
+    });
+
+    it('gives back only the redemption of the given order', async () => {
+      const findOneAndUpdate = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({});
+      const couponId = new mongoose.Types.ObjectId();
+      const order = new mongoose.Types.ObjectId();
+
+      await Coupon.release(couponId, order);
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: couponId, 'redemptions.order': order },
+        { $inc: { usedCount: -1 }, $pull: { redemptions: { order } } },
+        { new: true }
+      );
+    });
+  });
+});
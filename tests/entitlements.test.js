@@ -0,0 +1,187 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.DOWNLOAD_TOKEN_SECRET = 'test-download-secret';
+
+const buyerId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: req.header('X-User'), _id: req.header('X-User'), role: req.header('X-Role') || 'customer' };
+  next();
+});
+jest.mock('../utils/fileDelivery', () => ({
+  streamFile: jest.fn(async (req, res, file) => res.send(`contents of ${file.name}`))
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Product = require('../models/Product');
+const Entitlement = require('../models/Entitlement');
+const Order = require('../models/Order');
+const { createDownloadToken } = require('../utils/downloadToken');
+
+const query = value => ({ select: jest.fn().mockResolvedValue(value) });
+
+describe('entitlements', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('grantForOrder', () => {
+    it('grants every product in the order, bundle members included', async () => {
+      const [theme, bundle, memberA, memberB] = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+      const order = new Order({
+        user: buyerId,
+        email: 'buyer@example.com',
+        items: [
+          { product: theme, name: 'Theme', price: 10 },
+          { product: bundle, name: 'Bundle', price: 30, bundleProducts: [memberA, theme, memberB] }
+        ],
+        subtotal: 40,
+        total: 40
+      });
+      jest.spyOn(Product, 'findById').mockReturnValue(query({ downloadLimit: 3 }));
+      const upsert = jest.spyOn(Entitlement, 'findOneAndUpdate').mockResolvedValue({});
+
+      await Entitlement.grantForOrder(order);
+
+      expect(upsert.mock.calls.map(([filter]) => filter.product)).toEqual([theme, bundle, memberA, memberB]);
+      const [filter, update, options] = upsert.mock.calls[0];
+      expect(filter).toEqual({ user: buyerId, product: theme, orders: { $ne: order._id } });
+      expect(update.$set).toEqual({ downloadsUsed: 0, downloadLimit: 3 });
+      expect(update.$unset).toEqual({ revokedAt: 1 });
+      expect(options).toEqual({ upsert: true });
+    });
+
+    it('treats granting the same order twice as a no-op', async () => {
+      const order = new Order({
+        user: buyerId,
+        email: 'buyer@example.com',
+        items: [{ product: new mongoose.Types.ObjectId(), name: 'Theme', price: 10 }],
+        subtotal: 10,
+        total: 10
+      });
+      jest.spyOn(Product, 'findById').mockReturnValue(query(null));
+      jest.spyOn(Entitlement, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(Entitlement.grantForOrder(order)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('revokeForOrder', () => {
+    it('revokes access once no paid order covers the product', async () => {
+      const order = { _id: new mongoose.Types.ObjectId(), user: buyerId };
+      const last = new Entitlement({ user: buyerId, product: new mongoose.Types.ObjectId(), orders: [] });
+      const other = new Entitlement({ user: buyerId, product: new mongoose.Types.ObjectId(), orders: [new mongoose.Types.ObjectId()] });
+      jest.spyOn(last, 'save').mockResolvedValue(last);
+      jest.spyOn(other, 'save').mockResolvedValue(other);
+      jest.spyOn(Entitlement, 'findOneAndUpdate')
+        .mockResolvedValueOnce(last)
+        .mockResolvedValueOnce(other);
+
+      await Entitlement.revokeForOrder(order, [last.product, other.product]);
+
+      expect(last.revokedAt).toBeInstanceOf(Date);
+      expect(other.revokedAt).toBeUndefined();
+      expect(other.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeDownload', () => {
+    it('counts a download against an active entitlement', async () => {
+      const entitlement = new Entitlement({ user: buyerId, product: new mongoose.Types.ObjectId(), downloadLimit: 5, downloadsUsed: 1 });
+      const update = jest.spyOn(Entitlement, 'findOneAndUpdate').mockResolvedValue(entitlement);
+
+      await expect(Entitlement.consumeDownload(buyerId, entitlement.product)).resolves.toEqual({ entitlement });
+      expect(update.mock.calls[0][0]).toMatchObject({ user: buyerId, revokedAt: null });
+      expect(update.mock.calls[0][1]).toMatchObject({ $inc: { downloadsUsed: 1 } });
+    });
+
+    it.each([
+      [null, 'not_purchased'],
+      [{ revokedAt: new Date() }, 'revoked'],
+      [{ downloadLimit: 2, downloadsUsed: 2 }, 'limit_reached']
+    ])('explains why a download is refused (%o)', async (existing, reason) => {
+      jest.spyOn(Entitlement, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Entitlement, 'findOne').mockResolvedValue(existing);
+
+      const result = await Entitlement.consumeDownload(buyerId, new mongoose.Types.ObjectId());
+
+      expect(result.reason).toBe(reason);
+    });
+  });
+
+  describe('download routes', () => {
+    const app = express();
+    app.use('/api/products', require('../routes/products'));
+    app.use('/api/downloads', require('../routes/downloads'));
+
+    const offSaleProduct = () => {
+      const product = new Product({
+        name: 'Retired theme',
+        description: 'A theme that is no longer sold',
+        price: 10,
+        category: 'themes',
+        createdBy: new mongoose.Types.ObjectId(),
+        isActive: false,
+        files: [{ name: 'theme.zip', key: 'products/theme.zip', storage: 'local' }]
+      });
+      jest.spyOn(product, 'incrementDownloads').mockResolvedValue(product);
+      return product;
+    };
+
+    it('keeps handing out links to buyers after the product is taken off sale', async () => {
+      const product = offSaleProduct();
+      jest.spyOn(Product, 'findById').mockResolvedValue(product);
+      const entitlement = new Entitlement({ user: buyerId, product: product._id });
+      jest.spyOn(entitlement, 'getVariants').mockResolvedValue([null]);
+      jest.spyOn(Entitlement, 'consumeDownload').mockResolvedValue({ entitlement });
+
+      const res = await request(app)
+        .get(`/api/products/${product._id}/download`)
+        .set('X-User', buyerId.toString())
+        .expect(200);
+
+      expect(res.body.data.files.map(file => file.name)).toEqual(['theme.zip']);
+    });
+
+    it('hides products taken off sale from people who never bought them', async () => {
+      const product = offSaleProduct();
+      jest.spyOn(Product, 'findById').mockResolvedValue(product);
+      jest.spyOn(Entitlement, 'consumeDownload').mockResolvedValue({ reason: 'not_purchased' });
+
+      await request(app)
+        .get(`/api/products/${product._id}/download`)
+        .set('X-User', new mongoose.Types.ObjectId().toString())
+        .expect(404);
+    });
+
+    it('streams a signed link for an entitled buyer of a product off sale', async () => {
+      const product = offSaleProduct();
+      jest.spyOn(Product, 'findById').mockReturnValue(query(product));
+      jest.spyOn(Entitlement, 'findOne').mockResolvedValue(new Entitlement({ user: buyerId, product: product._id }));
+      const { token } = createDownloadToken({ user: buyerId, product: product._id, file: product.files[0]._id });
+
+      const res = await request(app).get(`/api/downloads/${token}`).expect(200);
+
+      expect(res.text).toBe('contents of theme.zip');
+    });
+
+    it('stops a signed link once access was revoked', async () => {
+      const product = offSaleProduct();
+      jest.spyOn(Product, 'findById').mockReturnValue(query(product));
+      jest.spyOn(Entitlement, 'findOne').mockResolvedValue(null);
+      const { token } = createDownloadToken({ user: buyerId, product: product._id, file: product.files[0]._id });
+
+      await request(app).get(`/api/downloads/${token}`).expect(403);
+    });
+
+    it('rejects tampered links', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const product = offSaleProduct();
+      const { token } = createDownloadToken({ user: buyerId, product: product._id, file: product.files[0]._id });
+
+      await request(app).get(`/api/downloads/${token.slice(0, -2)}xx`).expect(403);
+    });
+  });
+});
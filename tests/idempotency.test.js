@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+
+// In-memory stand-in for the IdempotencyKey collection
+jest.mock('../models/IdempotencyKey', () => {
+  const records = new Map();
+  const id = ({ user, method, path, key }) => `${user} ${method} ${path} ${key}`;
+  const matches = (record, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$lt) return record[field] < value.$lt;
+    return record[field] === value;
+  });
+
+  return {
+    records,
+    create: jest.fn(async (doc) => {
+      if (records.has(id(doc))) {
+        const error = new Error('duplicate key');
+        error.code = 11000;
+        throw error;
+      }
+      records.set(id(doc), { status: 'processing', lockedAt: new Date(), ...doc });
+    }),
+    findOne: jest.fn(async filter => records.get(id(filter)) || null),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const record = records.get(id(filter));
+      if (!record || !matches(record, filter)) return null;
+      return Object.assign(record, update);
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      Object.assign(records.get(id(filter)), update);
+    }),
+    deleteOne: jest.fn(async (filter) => {
+      records.delete(id(filter));
+    })
+  };
+});
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.header('X-User') || 'user-1' };
+    next();
+  });
+  app.post('/api/orders', idempotency, handler);
+  return app;
+};
+
+describe('Idempotency-Key middleware', () => {
+  let calls;
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.records.clear();
+    calls = 0;
+    app = buildApp((req, res) => {
+      calls += 1;
+      res.status(201).json({ success: true, data: { call: calls } });
+    });
+  });
+
+  it('passes requests without a key straight through', async () => {
+    await request(app).post('/api/orders').send({ a: 1 }).expect(201);
+    await request(app).post('/api/orders').send({ a: 1 }).expect(201);
+
+    expect(calls).toBe(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response for a retry with the same key', async () => {
+    const first = await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({ a: 1 }).expect(201);
+    const retry = await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({ a: 1 }).expect(201);
+
+    expect(calls).toBe(1);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects reusing a key for a different body', async () => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({ a: 1 }).expect(201);
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({ a: 2 }).expect(422);
+
+    expect(calls).toBe(1);
+  });
+
+  it('scopes keys per user', async () => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({ a: 1 }).expect(201);
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').set('X-User', 'user-2').send({ a: 1 }).expect(201);
+
+    expect(calls).toBe(2);
+  });
+
+  it('rejects malformed keys', async () => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'not a key!').send({}).expect(400);
+
+    expect(calls).toBe(0);
+  });
+
+  it('forgets server errors so the client can retry', async () => {
+    let fail = true;
+    app = buildApp((req, res) => {
+      calls += 1;
+      res.status(fail ? 500 : 201).json({ success: !fail });
+    });
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({}).expect(500);
+    fail = false;
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({}).expect(201);
+
+    expect(calls).toBe(2);
+  });
+
+  it('takes over a lock left by a request that died', async () => {
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({}).expect(201);
+    const [record] = IdempotencyKey.records.values();
+    Object.assign(record, { status: 'processing', lockedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    await request(app).post('/api/orders').set('Idempotency-Key', 'k1').send({}).expect(201);
+
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/sendEmail', () => ({
+  sendOrderConfirmationEmail: jest.fn().mockResolvedValue(),
+  sendRefundEmail: jest.fn().mockResolvedValue()
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Entitlement = require('../models/Entitlement');
+const License = require('../models/License');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const { transitionOrder } = require('../utils/orderLifecycle');
+const { applyPaymentResult } = require('../utils/payments');
+
+const newOrder = (status = 'pending') => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    email: 'buyer@example.com',
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Theme', price: 20, quantity: 3 }],
+    subtotal: 60,
+    total: 60,
+    status
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+describe('order status machine', () => {
+  let incrementSales;
+
+  beforeEach(() => {
+    incrementSales = jest.fn().mockResolvedValue();
+    jest.spyOn(Product, 'findById').mockResolvedValue({ incrementSales });
+    jest.spyOn(Entitlement, 'grantForOrder').mockResolvedValue();
+    jest.spyOn(License, 'issueForOrder').mockResolvedValue();
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Buyer' }) });
+    jest.spyOn(Coupon, 'release').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('allows only the listed transitions', () => {
+    const order = newOrder('paid');
+
+    expect(order.canTransitionTo('refunded')).toBe(true);
+    expect(order.canTransitionTo('pending')).toBe(false);
+    expect(() => order.transitionTo('cancelled')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(order.status).toBe('paid');
+  });
+
+  it('lets a failed order be paid by a later attempt', () => {
+    const order = newOrder('failed');
+
+    expect(order.canTransitionTo('paid')).toBe(true);
+    expect(order.canTransitionTo('fulfilled')).toBe(false);
+  });
+
+  it('records history and runs the paid side effects', async () => {
+    const order = newOrder('awaiting_payment');
+    const actor = new mongoose.Types.ObjectId();
+
+    await transitionOrder(order, 'paid', { actor, actorType: 'admin', reason: 'Manual' });
+
+    expect(order.status).toBe('paid');
+    expect(order.paidAt).toBeInstanceOf(Date);
+    expect(order.statusHistory[order.statusHistory.length - 1]).toMatchObject({
+      from: 'awaiting_payment',
+      to: 'paid',
+      actorType: 'admin',
+      reason: 'Manual'
+    });
+    expect(incrementSales).toHaveBeenCalledWith(3);
+    expect(Entitlement.grantForOrder).toHaveBeenCalledWith(order);
+    expect(License.issueForOrder).toHaveBeenCalledWith(order);
+  });
+
+  it('keeps the new status when a side effect fails', async () => {
+    const order = newOrder('awaiting_payment');
+    Entitlement.grantForOrder.mockRejectedValue(new Error('boom'));
+
+    await transitionOrder(order, 'paid');
+
+    expect(order.status).toBe('paid');
+    expect(License.issueForOrder).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  it('releases the coupon when an order is cancelled', async () => {
+    const order = newOrder('awaiting_payment');
+    order.coupon = { coupon: new mongoose.Types.ObjectId(), code: 'SAVE10' };
+
+    await transitionOrder(order, 'cancelled');
+
+    expect(Coupon.release).toHaveBeenCalledWith(order.coupon.coupon, order._id);
+  });
+
+  it('turns a concurrent modification into a 409', async () => {
+    const order = newOrder('awaiting_payment');
+    order.save.mockRejectedValue(new mongoose.Error.VersionError(order, 1, []));
+
+    await expect(transitionOrder(order, 'paid')).rejects.toMatchObject({ statusCode: 409 });
+    expect(Entitlement.grantForOrder).not.toHaveBeenCalled();
+  });
+
+  describe('applyPaymentResult', () => {
+    it('marks a failed order paid when a late payment succeeds', async () => {
+      const order = newOrder('failed');
+
+      const applied = await applyPaymentResult(order, { outcome: 'paid', providerStatus: 'succeeded', transactionId: 'ch_1' });
+
+      expect(applied).toBe(true);
+      expect(order.status).toBe('paid');
+      expect(order.payment.transactionId).toBe('ch_1');
+    });
+
+    it('leaves the status alone for pending results', async () => {
+      const order = newOrder('awaiting_payment');
+
+      const applied = await applyPaymentResult(order, { outcome: 'pending', providerStatus: 'processing' });
+
+      expect(applied).toBe(false);
+      expect(order.status).toBe('awaiting_payment');
+      expect(order.payment.status).toBe('processing');
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('reports a payment for a cancelled order instead of dropping it quietly', async () => {
+      const order = newOrder('cancelled');
+
+      const applied = await applyPaymentResult(order, { outcome: 'paid', providerStatus: 'succeeded' });
+
+      expect(applied).toBe(false);
+      expect(order.status).toBe('cancelled');
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('cancelled order'));
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+jest.mock('../utils/paypal', () => ({
+  ...jest.requireActual('../utils/paypal'),
+  getPayPal: jest.fn()
+}));
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_signatures';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_signatures';
+process.env.CHAPA_WEBHOOK_SECRET = 'chapa-test-secret';
+
+const { getPayPal } = require('../utils/paypal');
+const { isValidWebhookSignature } = require('../utils/chapa');
+const fake = require('../utils/payments/fake');
+const stripe = require('../utils/payments/stripe');
+const paypal = require('../utils/payments/paypal');
+const chapa = require('../utils/payments/chapa');
+
+// Minimal stand-in for an Express request as the webhook route sees it
+const webhookRequest = (body, headers = {}) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    body,
+    rawBody: Buffer.from(JSON.stringify(body)),
+    headers: lower,
+    header: name => lower[name.toLowerCase()]
+  };
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+describe('webhook signature verification', () => {
+  describe('fake provider', () => {
+    const event = { id: 'evt_1', type: 'payment.succeeded', reference: 'fake_1' };
+
+    it('accepts a body signed with the webhook secret', async () => {
+      const req = webhookRequest(event);
+      req.headers['x-fake-signature'] = fake.sign(req.rawBody);
+
+      await expect(fake.verifyWebhook(req)).resolves.toEqual(event);
+    });
+
+    it.each([
+      ['a missing signature', undefined],
+      ['a signature for another body', fake.sign(JSON.stringify({ ...event, reference: 'fake_2' }))],
+      ['a truncated signature', 'abc123']
+    ])('rejects %s', async (label, signature) => {
+      const req = webhookRequest(event, signature ? { 'X-Fake-Signature': signature } : {});
+
+      await expect(fake.verifyWebhook(req)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('Stripe', () => {
+    const event = { id: 'evt_1', object: 'event', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } };
+
+    const signed = (secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+      const payload = JSON.stringify(event);
+      return Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    };
+
+    it('returns the event for a valid signature', async () => {
+      const req = webhookRequest(event, { 'Stripe-Signature': signed() });
+
+      await expect(stripe.verifyWebhook(req)).resolves.toMatchObject({ id: 'evt_1', type: 'payment_intent.succeeded' });
+    });
+
+    it('rejects a signature made with another secret', async () => {
+      const req = webhookRequest(event, { 'Stripe-Signature': signed('whsec_someone_else') });
+
+      await expect(stripe.verifyWebhook(req)).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('Invalid Stripe signature')
+      });
+    });
+
+    it('rejects a body changed after signing', async () => {
+      const req = webhookRequest(event, { 'Stripe-Signature': signed() });
+      req.rawBody = Buffer.from(JSON.stringify({ ...event, id: 'evt_2' }));
+
+      await expect(stripe.verifyWebhook(req)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('PayPal', () => {
+    const event = { id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED' };
+    let verifyWebhookSignature;
+
+    beforeEach(() => {
+      verifyWebhookSignature = jest.fn();
+      getPayPal.mockReturnValue({ verifyWebhookSignature });
+    });
+
+    it('asks PayPal to verify the delivery headers', async () => {
+      verifyWebhookSignature.mockResolvedValue(true);
+      const req = webhookRequest(event, { 'PayPal-Transmission-Sig': 'sig' });
+
+      await expect(paypal.verifyWebhook(req)).resolves.toEqual(event);
+      expect(verifyWebhookSignature).toHaveBeenCalledWith({ headers: req.headers, event });
+    });
+
+    it('rejects a delivery PayPal does not recognise', async () => {
+      verifyWebhookSignature.mockResolvedValue(false);
+
+      await expect(paypal.verifyWebhook(webhookRequest(event))).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects an event without an id without calling PayPal', async () => {
+      await expect(paypal.verifyWebhook(webhookRequest({}))).rejects.toMatchObject({ statusCode: 400 });
+      expect(verifyWebhookSignature).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Chapa', () => {
+    const event = { event: 'charge.success', tx_ref: 'tx_1', status: 'success' };
+
+    it('checks an HMAC-SHA256 of the raw body', () => {
+      const rawBody = JSON.stringify(event);
+
+      expect(isValidWebhookSignature(rawBody, hmac('chapa-test-secret', rawBody))).toBe(true);
+      expect(isValidWebhookSignature(rawBody, hmac('other-secret', rawBody))).toBe(false);
+      expect(isValidWebhookSignature(rawBody, 'short')).toBe(false);
+      expect(isValidWebhookSignature(rawBody, hmac('chapa-test-secret', rawBody), '')).toBe(false);
+    });
+
+    it('accepts either signature header', async () => {
+      const req = webhookRequest(event);
+      req.headers['x-chapa-signature'] = hmac('chapa-test-secret', req.rawBody);
+
+      await expect(chapa.verifyWebhook(req)).resolves.toEqual(event);
+    });
+
+    it('rejects an unsigned delivery', async () => {
+      await expect(chapa.verifyWebhook(webhookRequest(event))).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/sendEmail', () => ({
+  sendOrderConfirmationEmail: jest.fn().mockResolvedValue(),
+  sendRefundEmail: jest.fn().mockResolvedValue()
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Refund = require('../models/Refund');
+const Entitlement = require('../models/Entitlement');
+const License = require('../models/License');
+const User = require('../models/user');
+const { getProvider } = require('../utils/payments');
+const { refundOrder } = require('../utils/refunds');
+
+const themeId = new mongoose.Types.ObjectId();
+const pluginId = new mongoose.Types.ObjectId();
+
+const paidOrder = () => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    email: 'buyer@example.com',
+    items: [
+      { product: themeId, name: 'Theme', price: 30, quantity: 3 },
+      { product: pluginId, name: 'Plugin', price: 10, quantity: 1 }
+    ],
+    subtotal: 100,
+    total: 100,
+    status: 'paid',
+    payment: { provider: 'fake', reference: 'fake_1', transactionId: 'fake_1_capture' }
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+describe('refundOrder', () => {
+  let refundDoc;
+  let provider;
+
+  beforeEach(() => {
+    provider = getProvider('fake');
+    jest.spyOn(provider, 'refund');
+    jest.spyOn(Refund, 'create').mockImplementation(async (data) => {
+      refundDoc = new Refund(data);
+      jest.spyOn(refundDoc, 'save').mockResolvedValue(refundDoc);
+      return refundDoc;
+    });
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Buyer' }) });
+    jest.spyOn(Entitlement, 'revokeForOrder').mockResolvedValue();
+    jest.spyOn(License, 'revokeForOrder').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds the whole order through the provider', async () => {
+    const order = paidOrder();
+
+    const refund = await refundOrder(order, { reason: 'Asked' });
+
+    expect(provider.refund).toHaveBeenCalledWith(order, { amount: 100, reason: 'Asked' });
+    expect(refund.status).toBe('succeeded');
+    expect(refund.type).toBe('full');
+    expect(order.status).toBe('refunded');
+    expect(order.amountRefunded).toBe(100);
+    expect(Entitlement.revokeForOrder).toHaveBeenCalledWith(order, [themeId, pluginId]);
+  });
+
+  it('refunds part of a line and keeps access to it', async () => {
+    const order = paidOrder();
+
+    const refund = await refundOrder(order, { items: [{ item: themeId.toString(), quantity: 1 }] });
+
+    expect(refund.amount).toBe(30);
+    expect(refund.type).toBe('partial');
+    expect(order.status).toBe('partially_refunded');
+    expect(order.items[0].refundedQuantity).toBe(1);
+    expect(Entitlement.revokeForOrder).toHaveBeenCalledWith(order, []);
+  });
+
+  it('takes back product sales in the units that were refunded', async () => {
+    const order = paidOrder();
+
+    await refundOrder(order, { items: [{ item: themeId.toString(), quantity: 2 }] });
+
+    const [filter, update] = Product.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: themeId });
+    // Never below zero, and never a silent no-op when the count is small
+    expect(update).toEqual([
+      { $set: { 'stats.sales': { $max: [0, { $subtract: ['$stats.sales', 2] }] } } }
+    ]);
+  });
+
+  it('rejects refunding more than is left', async () => {
+    const order = paidOrder();
+
+    await expect(refundOrder(order, { items: [{ item: pluginId.toString(), quantity: 2 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Refund.create).not.toHaveBeenCalled();
+  });
+
+  it('adds up entries that name the same line', async () => {
+    const order = paidOrder();
+    const line = order.items[0];
+
+    await expect(refundOrder(order, {
+      items: [{ item: line._id.toString(), quantity: 2 }, { item: themeId.toString(), quantity: 2 }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Refund.create).not.toHaveBeenCalled();
+
+    const refund = await refundOrder(order, {
+      items: [{ item: line._id.toString(), quantity: 1 }, { item: themeId.toString(), quantity: 2 }]
+    });
+
+    expect(refund.items).toHaveLength(1);
+    expect(refund.amount).toBe(90);
+    expect(line.refundedQuantity).toBe(3);
+  });
+
+  it('reports another refund in flight as a conflict', async () => {
+    Refund.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(refundOrder(paidOrder())).rejects.toMatchObject({ statusCode: 409 });
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('marks the refund failed when the provider refuses', async () => {
+    provider.refund.mockRejectedValue(Object.assign(new Error('declined'), { statusCode: 502 }));
+    const order = paidOrder();
+
+    await expect(refundOrder(order)).rejects.toMatchObject({ statusCode: 502 });
+    expect(refundDoc.status).toBe('failed');
+    expect(refundDoc.save).toHaveBeenCalled();
+    expect(order.status).toBe('paid');
+  });
+
+  it('releases the lock and flags the refund when the order cannot be updated', async () => {
+    const order = paidOrder();
+    order.save.mockRejectedValue(new Error('write failed'));
+
+    await expect(refundOrder(order)).rejects.toMatchObject({ statusCode: 500 });
+    expect(provider.refund).toHaveBeenCalled();
+    expect(refundDoc.status).toBe('needs_reconciliation');
+    expect(refundDoc.failureReason).toBe('write failed');
+    expect(refundDoc.reference).toBeDefined();
+    expect(refundDoc.save).toHaveBeenCalled();
+  });
+
+  it('still succeeds when a post-refund step fails', async () => {
+    Entitlement.revokeForOrder.mockRejectedValue(new Error('boom'));
+    const order = paidOrder();
+
+    const refund = await refundOrder(order);
+
+    expect(refund.status).toBe('succeeded');
+    expect(order.status).toBe('refunded');
+  });
+
+  it('refuses orders that were never paid', async () => {
+    const order = paidOrder();
+    order.status = 'cancelled';
+
+    await expect(refundOrder(order)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const CART_COOKIE = 'cartId';
+const GUEST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The frontend lives on another domain, so production needs SameSite=None
+const cartCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  maxAge: 30 * 24 * 60 * 60 * 1000
+});
+
+// Read the guest cart id from the request cookie, ignoring malformed values
+const getGuestId = (req) => {
+  const value = req.cookies && req.cookies[CART_COOKIE];
+  return typeof value === 'string' && GUEST_ID_PATTERN.test(value) ? value : null;
+};
+
+// Issue a new guest cart id and set the cookie
+const issueGuestId = (res) => {
+  const guestId = crypto.randomUUID();
+  res.cookie(CART_COOKIE, guestId, cartCookieOptions());
+  return guestId;
+};
+
+const clearGuestId = (res) => {
+  const { maxAge, ...options } = cartCookieOptions();
+  res.clearCookie(CART_COOKIE, options);
+};
+
+module.exports = {
+  getGuestId,
+  issueGuestId,
+  clearGuestId
+};
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const CHAPA_API_BASE = 'https://api.chapa.co/v1';
+
+// Wrap a failed Chapa call in an error the routes can report
+const toChapaError = (error, action) => {
+  const data = error.response && error.response.data;
+  const message = data && (typeof data.message === 'string' ? data.message : JSON.stringify(data.message));
+  const wrapped = new Error(`Chapa ${action} failed: ${message || error.message}`);
+  wrapped.statusCode = 502;
+  wrapped.details = data;
+  return wrapped;
+};
+
+// Create a Chapa client. All HTTP goes through `http`, so tests can pass an
+// axios instance pointed at a local mock. CHAPA_API_BASE overrides the URL.
+const createChapaClient = ({
+  baseURL = process.env.CHAPA_API_BASE || CHAPA_API_BASE,
+  secretKey = process.env.CHAPA_SECRET_KEY,
+  http = axios.create({ baseURL, timeout: 15000 })
+} = {}) => {
+  const request = async (action, config) => {
+    try {
+      const response = await http.request({
+        ...config,
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw toChapaError(error, action);
+    }
+  };
+
+  return {
+    // Start a hosted checkout; resolves to { checkoutUrl }
+    initialize: async ({ txRef, amount, currency, email, firstName, lastName, callbackUrl, returnUrl, title, description }) => {
+      const result = await request('initialize', {
+        method: 'post',
+        url: '/transaction/initialize',
+        data: {
+          tx_ref: txRef,
+          amount: amount.toFixed(2),
+          currency,
+          email,
+          first_name: firstName,
+          last_name: lastName,
+          callback_url: callbackUrl,
+          return_url: returnUrl,
+          customization: { title, description }
+        }
+      });
+
+      if (result.status !== 'success' || !result.data || !result.data.checkout_url) {
+        throw toChapaError(new Error(result.message || 'No checkout URL returned'), 'initialize');
+      }
+
+      return { checkoutUrl: result.data.checkout_url };
+    },
+
+    // Look up a transaction by reference; resolves to Chapa's data object
+    verify: async (txRef) => {
+      const result = await request('verify', {
+        method: 'get',
+        url: `/transaction/verify/${encodeURIComponent(txRef)}`
+      });
+      return result.data || {};
+    },
+
+    // Refund a transaction, fully or by amount
+    refund: async (txRef, { amount, reason } = {}) => {
+      const result = await request('refund', {
+        method: 'post',
+        url: `/refund/${encodeURIComponent(txRef)}`,
+        data: {
+          reason,
+          ...(amount ? { amount: amount.toFixed(2) } : {})
+        }
+      });
+      return result.data || {};
+    }
+  };
+};
+
+// Amount to charge in ETB. Orders priced in another currency are converted
+// with CHAPA_USD_TO_ETB_RATE; returns null when no conversion is possible.
+const toEtbAmount = (amount, currency) => {
+  if (currency === 'ETB') {
+    return Math.round(amount * 100) / 100;
+  }
+
+  const rate = parseFloat(process.env.CHAPA_USD_TO_ETB_RATE);
+  if (currency === 'USD' && rate > 0) {
+    return Math.round(amount * rate * 100) / 100;
+  }
+
+  return null;
+};
+
+let defaultClient = null;
+
+const getChapa = () => {
+  if (!defaultClient) {
+    defaultClient = createChapaClient();
+  }
+  return defaultClient;
+};
+
+// Chapa signs webhook bodies with HMAC-SHA256 of the webhook secret
+const isValidWebhookSignature = (rawBody, signature, secret = process.env.CHAPA_WEBHOOK_SECRET) => {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+module.exports = {
+  createChapaClient,
+  isValidWebhookSignature,
+  getChapa,
+  toEtbAmount
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MINUTES = 30;
+
+const getSecret = () => process.env.DOWNLOAD_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+const tokenError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// How long a download link stays valid, from DOWNLOAD_LINK_TTL_MINUTES
+const getLinkTtlMs = () => {
+  const minutes = parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  return minutes * 60 * 1000;
+};
+
+// Create a signed token for one product file. The token is the only
+// credential the download endpoint needs, so it is safe to hand to a
+// browser or download manager but expires quickly.
+const createDownloadToken = ({ user, product, file, bypassEntitlement = false }) => {
+  const expiresAt = new Date(Date.now() + getLinkTtlMs());
+  const payload = Buffer.from(JSON.stringify({
+    u: user.toString(),
+    p: product.toString(),
+    f: file.toString(),
+    // Admins download without an entitlement
+    a: bypassEntitlement ? 1 : undefined,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt
+  };
+};
+
+// Check a token's signature and expiry. Resolves to
+// { user, product, file, bypassEntitlement } or throws with a statusCode.
+const verifyDownloadToken = (token) => {
+  const [payload, signature] = (token || '').split('.');
+
+  if (!payload || !signature) {
+    throw tokenError('Invalid download link', 403);
+  }
+
+  const expected = sign(payload);
+  if (expected.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    throw tokenError('Invalid download link', 403);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError('Invalid download link', 403);
+  }
+
+  if (!data.exp || data.exp * 1000 < Date.now()) {
+    throw tokenError('Download link has expired', 410);
+  }
+
+  return {
+    user: data.u,
+    product: data.p,
+    file: data.f,
+    bypassEntitlement: data.a === 1
+  };
+};
+
+module.exports = {
+  createDownloadToken,
+  verifyDownloadToken
+};
@@ -0,0 +1,133 @@
+const path = require('path');
+const axios = require('axios');
+const { getStorage } = require('./storage');
+
+const deliveryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isRemote = (url) => /^https?:\/\//i.test(url);
+
+// Where a file's bytes live: files uploaded through the storage layer
+// carry their key and driver; older entries with a /uploads/ url are on
+// local disk
+const locateFile = (file) => {
+  if (file.key) {
+    return { storage: getStorage(file.storage || 'local'), key: file.key };
+  }
+  return { storage: getStorage('local'), key: file.url.replace(/^\/?uploads\//, '') };
+};
+
+// Headers every download carries. no-transform stops the compression
+// middleware from re-encoding byte ranges. The stored file type wins over
+// what the backend reports.
+const setDownloadHeaders = (res, file, contentType) => {
+  const fileName = file.name || path.basename((file.key || file.url).split('?')[0]);
+  res.attachment(fileName);
+  if (file.type && file.type.includes('/')) {
+    res.type(file.type);
+  } else if (contentType) {
+    res.type(contentType);
+  }
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store, no-transform'
+  });
+};
+
+const streamStoredFile = async (req, res, file) => {
+  const { storage, key } = locateFile(file);
+
+  const info = await storage.stat(key);
+  if (!info) {
+    throw deliveryError('File not found', 404);
+  }
+
+  const ranges = req.headers.range ? req.range(info.size, { combine: true }) : null;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${info.size}`);
+    return res.status(416).end();
+  }
+
+  // Only single ranges are served partially; anything else gets the whole file
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+  if (req.method === 'HEAD') {
+    setDownloadHeaders(res, file, info.contentType);
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${info.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : info.size));
+    return res.end();
+  }
+
+  const object = await storage.get(key, range ? { start: range.start, end: range.end } : {});
+
+  setDownloadHeaders(res, file, object.contentType);
+
+  // Some backends may answer a range with the whole object
+  if (range && object.size < object.totalSize) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.start + object.size - 1}/${object.totalSize}`);
+  }
+  res.set('Content-Length', String(object.size));
+
+  object.stream.on('error', (error) => {
+    res.destroy(error);
+  });
+  object.stream.pipe(res);
+};
+
+// Remote files are proxied so the origin URL is never exposed. The Range
+// header is passed through and the origin's partial response relayed.
+const streamRemoteFile = async (req, res, file) => {
+  let upstream;
+  try {
+    upstream = await axios.request({
+      method: req.method === 'HEAD' ? 'head' : 'get',
+      url: file.url,
+      responseType: 'stream',
+      timeout: 30000,
+      headers: req.headers.range ? { Range: req.headers.range } : {},
+      validateStatus: status => status < 500
+    });
+  } catch (error) {
+    throw deliveryError('File storage is unavailable, please try again', 502);
+  }
+
+  if (upstream.status === 404) {
+    upstream.data.destroy();
+    throw deliveryError('File not found', 404);
+  }
+
+  setDownloadHeaders(res, file, upstream.headers['content-type']);
+
+  ['content-length', 'content-range', 'last-modified', 'etag'].forEach(header => {
+    if (upstream.headers[header]) {
+      res.set(header, upstream.headers[header]);
+    }
+  });
+
+  res.status(upstream.status);
+  upstream.data.on('error', (error) => {
+    res.destroy(error);
+  });
+  upstream.data.pipe(res);
+};
+
+// Stream a product file to the response with download headers and byte
+// range support. Throws with a statusCode before anything is sent.
+const streamFile = async (req, res, file) => {
+  if (!file || (!file.key && !file.url)) {
+    throw deliveryError('File not found', 404);
+  }
+
+  return !file.key && isRemote(file.url) ? streamRemoteFile(req, res, file) : streamStoredFile(req, res, file);
+};
+
+module.exports = {
+  streamFile
+};
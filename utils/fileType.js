@@ -0,0 +1,110 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Deliverable file types we accept, keyed by the type detected from the
+// file's content
+const ALLOWED_FILE_TYPES = {
+  'application/zip': 'zip',
+  'application/epub+zip': 'epub',
+  'application/pdf': 'pdf',
+  'application/gzip': 'gz',
+  'application/x-tar': 'tar',
+  'application/x-7z-compressed': '7z',
+  'application/vnd.rar': 'rar',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/x-matroska': 'mkv',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/vnd.adobe.photoshop': 'psd'
+};
+
+// Bytes needed to recognise every type above (tar's marker is at 257)
+const HEADER_BYTES = 512;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// ISO media files (mp4, m4a, mov, but also HEIC and AVIF images and 3GP
+// video) all start with an ftyp box; its major brand tells them apart
+const FTYP_BRANDS = {
+  'video/mp4': [
+    'isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42',
+    'avc1', 'dash', 'mmp4', 'M4V ', 'M4VH', 'M4VP', 'f4v ', 'MSNV', 'NDAS'
+  ],
+  'audio/mp4': ['M4A ', 'M4B ', 'f4a '],
+  'video/quicktime': ['qt  ']
+};
+
+// Work out a file's type from its first bytes rather than trusting the
+// name or the mimetype the client sent. Returns a mime type or null.
+const detectFileType = (header) => {
+  if (startsWith(header, [0x50, 0x4B]) && [0x0304, 0x0506, 0x0708].includes(header.readUInt16BE(2))) {
+    // EPUBs are zips whose first entry is the uncompressed mimetype file
+    return ascii(header, 30, 58) === 'mimetypeapplication/epub+zip' ? 'application/epub+zip' : 'application/zip';
+  }
+  if (startsWith(header, [0x25, 0x50, 0x44, 0x46, 0x2D])) return 'application/pdf';
+  if (startsWith(header, [0x1F, 0x8B, 0x08])) return 'application/gzip';
+  if (startsWith(header, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed';
+  if (startsWith(header, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07])) return 'application/vnd.rar';
+  if (ascii(header, 257, 262) === 'ustar') return 'application/x-tar';
+
+  if (ascii(header, 4, 8) === 'ftyp') {
+    const brand = ascii(header, 8, 12);
+    const type = Object.keys(FTYP_BRANDS).find(candidate => FTYP_BRANDS[candidate].includes(brand));
+    return type || null;
+  }
+  if (startsWith(header, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return ascii(header, 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(header, 0, 3) === 'ID3' || (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+
+  if (startsWith(header, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (startsWith(header, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (ascii(header, 0, 4) === '8BPS') return 'image/vnd.adobe.photoshop';
+
+  return null;
+};
+
+// Read an uploaded file once: detect its type from the header and compute
+// its sha256 checksum. Resolves to { type, checksum, size }.
+const inspectFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  const chunks = [];
+  let headerLength = 0;
+  let size = 0;
+
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+      if (headerLength < HEADER_BYTES) {
+        chunks.push(chunk);
+        headerLength += chunk.length;
+      }
+    })
+    .on('error', reject)
+    .on('end', () => {
+      const header = Buffer.concat(chunks).subarray(0, HEADER_BYTES);
+      resolve({
+        type: detectFileType(header),
+        checksum: hash.digest('hex'),
+        size
+      });
+    });
+});
+
+const isAllowedFileType = type => Boolean(type && ALLOWED_FILE_TYPES[type]);
+
+module.exports = {
+  ALLOWED_FILE_TYPES,
+  HEADER_BYTES,
+  detectFileType,
+  inspectFile,
+  isAllowedFileType
+};
@@ -0,0 +1,121 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage, buildKey, removeStored } = require('./storage');
+
+// Sizes generated for every product image. thumb and card are cropped to
+// fill the box; full keeps the aspect ratio and is never enlarged.
+const IMAGE_RENDITIONS = {
+  thumb: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 450, fit: 'cover' },
+  full: { width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true }
+};
+
+const IMAGE_SIZES = Object.keys(IMAGE_RENDITIONS);
+
+const imageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Encode one rendition. Metadata (EXIF, GPS, camera details) is dropped
+// because sharp only copies it when asked to.
+const encode = (input, size, format) => {
+  const pipeline = sharp(input)
+    .rotate() // apply the EXIF orientation before it is stripped
+    .resize(IMAGE_RENDITIONS[size]);
+
+  if (format === 'webp') return pipeline.webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true });
+  return pipeline.jpeg({ quality: 82, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+};
+
+// Resize an uploaded image into every rendition, each as WebP plus JPEG
+// (PNG when the image has transparency). Resolves to
+// { width, height, renditions: [{ size, format, data, width, height }] }.
+const processImage = async (input) => {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw imageError('Unsupported or corrupt image', 415);
+  }
+
+  // Orientations 5-8 are stored rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  const renditions = [];
+
+  for (const size of IMAGE_SIZES) {
+    for (const format of [fallbackFormat, 'webp']) {
+      const { data, info } = await encode(input, size, format);
+      renditions.push({ size, format, data, width: info.width, height: info.height });
+    }
+  }
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    renditions
+  };
+};
+
+// Process a multer image upload and store its renditions publicly.
+// Resolves to a Product.images entry; the full-size JPEG/PNG is its url.
+const storeImage = async (file, { alt, isPrimary = false } = {}) => {
+  const processed = await processImage(file.buffer);
+  const storage = getStorage();
+  const base = path.basename(file.originalname, path.extname(file.originalname));
+  const renditions = [];
+
+  try {
+    for (const rendition of processed.renditions) {
+      const extension = rendition.format === 'jpeg' ? 'jpg' : rendition.format;
+      const stored = await storage.put(buildKey('images', `${base}-${rendition.size}.${extension}`), rendition.data, {
+        contentType: `image/${rendition.format}`,
+        size: rendition.data.length,
+        isPublic: true
+      });
+
+      renditions.push({
+        size: rendition.size,
+        format: rendition.format,
+        url: stored.url,
+        key: stored.key,
+        width: rendition.width,
+        height: rendition.height
+      });
+    }
+  } catch (error) {
+    await removeStored(renditions.map(({ key }) => ({ key, storage: storage.name })));
+    throw error;
+  }
+
+  const full = renditions.find(r => r.size === 'full' && r.format !== 'webp');
+
+  return {
+    url: full.url,
+    key: full.key,
+    storage: storage.name,
+    alt,
+    isPrimary,
+    width: processed.width,
+    height: processed.height,
+    renditions
+  };
+};
+
+// Best-effort removal of every stored rendition of the given images
+const removeImages = images => removeStored(images.flatMap(image =>
+  (image.renditions && image.renditions.length > 0 ? image.renditions : [image])
+    .filter(object => object.key)
+    .map(({ key }) => ({ key, storage: image.storage }))
+));
+
+module.exports = {
+  IMAGE_RENDITIONS,
+  IMAGE_SIZES,
+  processImage,
+  storeImage,
+  removeImages
+};
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Entitlement = require('../models/Entitlement');
+const License = require('../models/License');
+const User = require('../models/user');
+const { sendOrderConfirmationEmail } = require('./sendEmail');
+const logger = require('./logger');
+
+// Side effects to run after an order enters a status.
+// Every status change goes through transitionOrder, so this is the only
+// place that reacts to orders being paid, refunded, cancelled, etc.
+const statusHooks = {
+  paid: [
+    async function incrementProductSales(order) {
+      for (const item of order.items) {
+        const product = await Product.findById(item.product);
+        if (product) {
+          await product.incrementSales(item.quantity);
+        }
+      }
+    },
+    async function grantEntitlements(order) {
+      await Entitlement.grantForOrder(order);
+    },
+    async function issueLicenses(order) {
+      await License.issueForOrder(order);
+    },
+    async function updateUserStats(order) {
+      await User.updateOne({ _id: order.user }, {
+        $inc: {
+          'stats.totalOrders': 1,
+          'stats.totalSpent': order.total
+        }
+      });
+    },
+    async function sendConfirmation(order) {
+      const user = await User.findById(order.user).select('name');
+      await sendOrderConfirmationEmail(order.email, user ? user.name : 'there', {
+        orderNumber: order.orderNumber,
+        items: order.items,
+        total: order.total,
+        currency: order.currency
+      });
+    }
+  ],
+  cancelled: [
+    async function releaseCoupon(order) {
+      if (order.coupon && order.coupon.coupon) {
+        await Coupon.release(order.coupon.coupon, order._id);
+      }
+    }
+  ]
+};
+
+const runHooks = async (order, status, context) => {
+  for (const hook of statusHooks[status] || []) {
+    try {
+      await hook(order, context);
+    } catch (error) {
+      // The status change is already persisted; a failing side effect
+      // must not roll it back, but it has to be visible in the logs
+      logger.error(`Order ${order.orderNumber} ${status} hook ${hook.name || 'anonymous'} failed:`, error);
+    }
+  }
+};
+
+// Change an order's status, persist it and fire the status side effects.
+// Throws an error with statusCode 409 when the transition is illegal or
+// the order was changed concurrently.
+const transitionOrder = async (order, status, { actor, actorType, reason } = {}) => {
+  const from = order.status;
+  order.transitionTo(status, { actor, actorType, reason });
+
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      const conflict = new Error('Order was modified concurrently, please retry');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  await runHooks(order, status, { from, actor, actorType, reason });
+
+  return order;
+};
+
+module.exports = {
+  transitionOrder
+};
@@ -0,0 +1,115 @@
+const { getChapa, toEtbAmount, isValidWebhookSignature } = require('../chapa');
+
+const createPayment = async (order, { user, returnUrl, apiUrl }) => {
+  const amount = toEtbAmount(order.total, order.currency);
+  if (amount === null) {
+    const error = new Error(`Chapa payments are not available for ${order.currency} orders`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Chapa rejects reused references, so every attempt gets a new one
+  const txRef = `${order.orderNumber}-${Date.now()}`;
+  const [firstName, ...rest] = (user.name || '').split(' ');
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const { checkoutUrl } = await getChapa().initialize({
+    txRef,
+    amount,
+    currency: 'ETB',
+    email: order.email,
+    firstName,
+    lastName: rest.join(' '),
+    callbackUrl: `${apiUrl}/api/payments/chapa/callback`,
+    returnUrl: returnUrl || `${frontendUrl}/checkout/chapa/return?orderId=${order.id}`,
+    title: 'Nibras Ahmed',
+    description: `Order ${order.orderNumber}`
+  });
+
+  return {
+    reference: txRef,
+    providerStatus: 'pending',
+    amount,
+    currency: 'ETB',
+    clientData: {
+      txRef,
+      amount,
+      currency: 'ETB',
+      checkoutUrl
+    }
+  };
+};
+
+// Confirm the transaction with Chapa itself; callback and webhook bodies
+// are never taken at face value
+const capture = async (order) => {
+  const transaction = await getChapa().verify(order.payment.reference);
+
+  const matches = transaction.status === 'success' &&
+    transaction.tx_ref === order.payment.reference &&
+    transaction.currency === order.payment.currency &&
+    Math.abs(parseFloat(transaction.amount) - order.payment.amount) < 0.01;
+
+  if (matches) {
+    return {
+      outcome: 'paid',
+      providerStatus: transaction.status,
+      transactionId: transaction.reference
+    };
+  }
+
+  if (transaction.status === 'failed') {
+    return {
+      outcome: 'failed',
+      providerStatus: transaction.status,
+      failureReason: 'Chapa reported the transaction as failed'
+    };
+  }
+
+  return { outcome: 'pending', providerStatus: transaction.status };
+};
+
+// Refund amounts are in the order currency; Chapa charged in ETB
+const refund = async (order, { amount, reason }) => {
+  const etbAmount = Math.round(amount * (order.payment.amount / order.total) * 100) / 100;
+  const result = await getChapa().refund(order.payment.reference, { amount: etbAmount, reason });
+
+  return {
+    reference: result.refund_reference || result.reference || order.payment.reference,
+    status: result.status || 'pending'
+  };
+};
+
+const verifyWebhook = async (req) => {
+  const signature = req.header('chapa-signature') || req.header('x-chapa-signature');
+
+  if (!isValidWebhookSignature(req.rawBody, signature)) {
+    const error = new Error('Invalid Chapa webhook signature');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return req.body;
+};
+
+// Chapa events carry no id; reference and status identify a delivery.
+// No result: the transaction is always re-verified with capture().
+const parseWebhook = (event) => ({
+  eventId: `${event.event || 'charge'}:${event.tx_ref}:${event.status}`,
+  type: event.event || event.type,
+  reference: event.tx_ref
+});
+
+const callbackReference = (query) => {
+  const txRef = query.trx_ref || query.tx_ref;
+  return typeof txRef === 'string' ? txRef : null;
+};
+
+module.exports = {
+  createPayment,
+  capture,
+  refund,
+  verifyWebhook,
+  parseWebhook,
+  callbackReference
+};
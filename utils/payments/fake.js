@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Deterministic in-process provider for development and tests.
+// capture() succeeds unless the payload asks for { outcome: 'failed' } or
+// { outcome: 'pending' }; webhooks are signed with FAKE_WEBHOOK_SECRET.
+const FAKE_WEBHOOK_SECRET = () => process.env.FAKE_WEBHOOK_SECRET || 'fake-webhook-secret';
+
+const sign = (rawBody) => crypto.createHmac('sha256', FAKE_WEBHOOK_SECRET()).update(rawBody).digest('hex');
+
+const createPayment = async (order) => {
+  const reference = `fake_${order.id}_${order.statusHistory.length}`;
+
+  return {
+    reference,
+    providerStatus: 'requires_confirmation',
+    amount: order.total,
+    currency: order.currency,
+    clientData: {
+      reference,
+      captureUrl: '/api/payments/fake/capture'
+    }
+  };
+};
+
+const capture = async (order, payload = {}) => {
+  if (payload.outcome === 'failed') {
+    return {
+      outcome: 'failed',
+      providerStatus: 'declined',
+      failureReason: 'Declined by fake provider'
+    };
+  }
+
+  if (payload.outcome === 'pending') {
+    return { outcome: 'pending', providerStatus: 'processing' };
+  }
+
+  return {
+    outcome: 'paid',
+    providerStatus: 'succeeded',
+    transactionId: `${order.payment.reference}_capture`
+  };
+};
+
+const refund = async (order, { amount }) => ({
+  reference: `fake_refund_${order.id}_${Math.round(amount * 100)}`,
+  status: 'succeeded'
+});
+
+const verifyWebhook = async (req) => {
+  const signature = req.header('x-fake-signature') || '';
+  const expected = req.rawBody ? sign(req.rawBody) : '';
+
+  if (!expected || expected.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    const error = new Error('Invalid fake webhook signature');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return req.body;
+};
+
+// Body: { id, type: 'payment.succeeded' | 'payment.failed', reference }
+const parseWebhook = (event) => {
+  const parsed = {
+    eventId: event.id,
+    type: event.type,
+    reference: event.reference
+  };
+
+  if (event.type === 'payment.succeeded') {
+    parsed.result = order => ({
+      outcome: 'paid',
+      providerStatus: 'succeeded',
+      transactionId: `${order.payment.reference}_capture`
+    });
+  } else if (event.type === 'payment.failed') {
+    parsed.result = () => ({
+      outcome: 'failed',
+      providerStatus: 'declined',
+      failureReason: 'Declined by fake provider'
+    });
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  createPayment,
+  capture,
+  refund,
+  verifyWebhook,
+  parseWebhook,
+  sign
+};
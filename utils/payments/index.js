@@ -0,0 +1,82 @@
+const logger = require('../logger');
+const { transitionOrder } = require('../orderLifecycle');
+
+// Payment providers are registered by name and share one interface:
+//
+//   createPayment(order, { user, returnUrl, cancelUrl, apiUrl })
+//     -> { reference, providerStatus, amount, currency, clientData }
+//   capture(order, payload)
+//     -> { outcome: 'paid' | 'failed' | 'pending', providerStatus, transactionId, failureReason }
+//   refund(order, { amount, reason })
+//     -> { reference, status }
+//   verifyWebhook(req)
+//     -> the verified event payload. Throws with statusCode 400 when the
+//        signature is invalid.
+//   parseWebhook(payload)
+//     -> { eventId, type, reference, orderId, result }
+//        result(order) returns a capture() style result, or is undefined
+//        when the order has to be re-checked with capture(). Events
+//        without a reference are acknowledged and otherwise ignored.
+//        Must work on stored payloads, so inbox retries can re-run it.
+//
+// Providers may also implement callbackReference(query) for redirect
+// callbacks that only carry a transaction reference.
+const providers = new Map();
+
+const registerProvider = (name, provider) => {
+  providers.set(name, { name, ...provider });
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+const listProviders = () => [...providers.keys()];
+
+// Record a provider result on the order and move it to paid/failed.
+// Out of order or repeated results are ignored rather than failing.
+const applyPaymentResult = async (order, result, { reason } = {}) => {
+  order.payment.status = result.providerStatus;
+  order.payment.updatedAt = new Date();
+  if (result.transactionId) {
+    order.payment.transactionId = result.transactionId;
+  }
+  if (result.failureReason) {
+    order.payment.failureReason = result.failureReason;
+  }
+
+  if (result.outcome === 'paid' || result.outcome === 'failed') {
+    if (order.canTransitionTo(result.outcome)) {
+      await transitionOrder(order, result.outcome, {
+        actorType: 'system',
+        reason
+      });
+      return true;
+    }
+    if (result.outcome === 'paid' && order.status === 'cancelled') {
+      // The customer was charged for an order that can no longer be paid
+      logger.error(`Payment succeeded for cancelled order ${order.orderNumber}; refund or reinstate it by hand`);
+    } else {
+      logger.info(`Ignoring ${result.outcome} result for order ${order.orderNumber} in status ${order.status}`);
+    }
+  }
+
+  await order.save();
+  return false;
+};
+
+registerProvider('stripe', require('./stripe'));
+registerProvider('paypal', require('./paypal'));
+registerProvider('chapa', require('./chapa'));
+
+// The fake provider marks orders paid for free. Only register it when the
+// environment explicitly says development or test (an unset NODE_ENV
+// counts as production), or when it is switched on by hand.
+if (['development', 'test'].includes(process.env.NODE_ENV) || process.env.PAYMENTS_ENABLE_FAKE === 'true') {
+  registerProvider('fake', require('./fake'));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  applyPaymentResult
+};
@@ -0,0 +1,150 @@
+const { getPayPal, getApprovalUrl, getCompletedCapture, getPendingCapture } = require('../paypal');
+
+const createPayment = async (order, { returnUrl, cancelUrl }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const paypalOrder = await getPayPal().createOrder({
+    referenceId: order.id,
+    invoiceId: order.orderNumber,
+    amount: order.total,
+    currency: order.currency,
+    description: `Order ${order.orderNumber}`,
+    returnUrl: returnUrl || `${frontendUrl}/checkout/paypal/return?orderId=${order.id}`,
+    cancelUrl: cancelUrl || `${frontendUrl}/checkout/paypal/cancel?orderId=${order.id}`,
+    requestId: `${order.id}-${order.statusHistory.length}`
+  });
+
+  return {
+    reference: paypalOrder.id,
+    providerStatus: paypalOrder.status,
+    amount: order.total,
+    currency: order.currency,
+    clientData: {
+      paypalOrderId: paypalOrder.id,
+      approvalUrl: getApprovalUrl(paypalOrder)
+    }
+  };
+};
+
+const capture = async (order) => {
+  const paypal = getPayPal();
+  let paypalOrder;
+
+  try {
+    // One request id per attempt: retrying the same attempt is idempotent,
+    // while a capture after a decline is sent to PayPal afresh
+    paypalOrder = await paypal.captureOrder(order.payment.reference, {
+      requestId: `${order.payment.reference}-capture-${order.statusHistory.length}`
+    });
+  } catch (captureError) {
+    // A buyer hitting return twice must not fail the second time
+    if (captureError.issue !== 'ORDER_ALREADY_CAPTURED') {
+      throw captureError;
+    }
+    paypalOrder = await paypal.getOrder(order.payment.reference);
+  }
+
+  const completed = getCompletedCapture(paypalOrder);
+
+  // Settles later; PAYMENT.CAPTURE.COMPLETED or .DENIED follows
+  const pending = !completed && getPendingCapture(paypalOrder);
+  if (pending) {
+    return {
+      outcome: 'pending',
+      providerStatus: pending.status,
+      transactionId: pending.id
+    };
+  }
+
+  if (!completed) {
+    return {
+      outcome: 'failed',
+      providerStatus: paypalOrder.status,
+      failureReason: `PayPal order status ${paypalOrder.status}`
+    };
+  }
+
+  const matches = completed.amount.currency_code === order.currency &&
+    Math.abs(parseFloat(completed.amount.value) - order.total) < 0.01;
+
+  return matches ? {
+    outcome: 'paid',
+    providerStatus: paypalOrder.status,
+    transactionId: completed.id
+  } : {
+    outcome: 'failed',
+    providerStatus: paypalOrder.status,
+    transactionId: completed.id,
+    failureReason: 'Captured amount does not match order total'
+  };
+};
+
+const refund = async (order, { amount, reason }) => {
+  const result = await getPayPal().refundCapture(order.payment.transactionId, {
+    amount,
+    currency: order.currency,
+    note: reason
+  });
+
+  return {
+    reference: result.id,
+    status: result.status
+  };
+};
+
+const verifyWebhook = async (req) => {
+  const event = req.body;
+  const valid = event && event.id && await getPayPal().verifyWebhookSignature({
+    headers: req.headers,
+    event
+  });
+
+  if (!valid) {
+    const error = new Error('Invalid PayPal webhook signature');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return event;
+};
+
+const parseWebhook = (event) => {
+  const parsed = {
+    eventId: event.id,
+    type: event.event_type
+  };
+
+  const resource = event.resource || {};
+  const related = resource.supplementary_data && resource.supplementary_data.related_ids;
+
+  if (event.event_type === 'PAYMENT.CAPTURE.COMPLETED' && related && related.order_id) {
+    parsed.reference = related.order_id;
+    parsed.result = order => {
+      const matches = resource.amount.currency_code === order.currency &&
+        Math.abs(parseFloat(resource.amount.value) - order.total) < 0.01;
+      return matches
+        ? { outcome: 'paid', providerStatus: resource.status, transactionId: resource.id }
+        : { outcome: 'failed', providerStatus: resource.status, transactionId: resource.id, failureReason: 'Captured amount does not match order total' };
+    };
+  } else if (['PAYMENT.CAPTURE.DENIED', 'PAYMENT.CAPTURE.DECLINED'].includes(event.event_type) && related && related.order_id) {
+    parsed.reference = related.order_id;
+    parsed.result = () => ({
+      outcome: 'failed',
+      providerStatus: resource.status,
+      failureReason: `PayPal capture ${resource.status ? resource.status.toLowerCase() : 'denied'}`
+    });
+  } else if (event.event_type === 'CHECKOUT.ORDER.APPROVED') {
+    // Capture server side in case the buyer never returned to the site
+    parsed.reference = resource.id;
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  createPayment,
+  capture,
+  refund,
+  verifyWebhook,
+  parseWebhook
+};
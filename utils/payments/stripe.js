@@ -0,0 +1,126 @@
+const { getStripe, toStripeAmount, constructWebhookEvent } = require('../stripe');
+
+// Map a PaymentIntent to a provider result
+const toResult = (intent, order) => {
+  if (intent.status === 'succeeded') {
+    if (intent.amount_received < toStripeAmount(order.total, order.currency)) {
+      return {
+        outcome: 'failed',
+        providerStatus: intent.status,
+        failureReason: 'Received amount is less than the order total'
+      };
+    }
+    return {
+      outcome: 'paid',
+      providerStatus: intent.status,
+      transactionId: intent.latest_charge
+    };
+  }
+
+  if (intent.status === 'canceled' || (intent.status === 'requires_payment_method' && intent.last_payment_error)) {
+    return {
+      outcome: 'failed',
+      providerStatus: intent.status,
+      failureReason: intent.last_payment_error ? intent.last_payment_error.message : 'Payment was canceled'
+    };
+  }
+
+  return { outcome: 'pending', providerStatus: intent.status };
+};
+
+const createPayment = async (order, { user }) => {
+  const stripe = getStripe();
+  const amount = toStripeAmount(order.total, order.currency);
+  let intent = null;
+
+  // Reuse the open PaymentIntent so retries do not create new ones
+  if (order.status === 'awaiting_payment' && order.payment && order.payment.provider === 'stripe') {
+    intent = await stripe.paymentIntents.retrieve(order.payment.reference);
+    if (intent.status === 'canceled' || intent.amount !== amount) {
+      intent = null;
+    }
+  }
+
+  if (!intent) {
+    intent = await stripe.paymentIntents.create({
+      amount,
+      currency: order.currency.toLowerCase(),
+      receipt_email: order.email,
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        userId: user.id
+      }
+    });
+  }
+
+  return {
+    reference: intent.id,
+    providerStatus: intent.status,
+    amount: order.total,
+    currency: order.currency,
+    clientData: {
+      paymentIntentId: intent.id,
+      clientSecret: intent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    }
+  };
+};
+
+const capture = async (order) => {
+  const intent = await getStripe().paymentIntents.retrieve(order.payment.reference);
+  return toResult(intent, order);
+};
+
+const refund = async (order, { amount, reason }) => {
+  const stripeRefund = await getStripe().refunds.create({
+    payment_intent: order.payment.reference,
+    amount: toStripeAmount(amount, order.currency),
+    metadata: {
+      orderId: order.id,
+      reason: reason || ''
+    }
+  });
+
+  return {
+    reference: stripeRefund.id,
+    status: stripeRefund.status
+  };
+};
+
+const PAYMENT_INTENT_EVENTS = ['payment_intent.succeeded', 'payment_intent.payment_failed'];
+
+const verifyWebhook = async (req) => {
+  try {
+    return constructWebhookEvent(req.rawBody, req.header('stripe-signature'));
+  } catch (signatureError) {
+    const error = new Error(`Invalid Stripe signature: ${signatureError.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const parseWebhook = (event) => {
+  const parsed = {
+    eventId: event.id,
+    type: event.type
+  };
+
+  if (PAYMENT_INTENT_EVENTS.includes(event.type)) {
+    const intent = event.data.object;
+    parsed.reference = intent.id;
+    parsed.orderId = intent.metadata && intent.metadata.orderId;
+    parsed.result = order => toResult(intent, order);
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  createPayment,
+  capture,
+  refund,
+  verifyWebhook,
+  parseWebhook
+};
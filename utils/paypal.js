@@ -0,0 +1,183 @@
+const axios = require('axios');
+
+const PAYPAL_API_BASES = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+// Wrap a failed PayPal call in an error the routes can report
+const toPayPalError = (error, action) => {
+  const data = error.response && error.response.data;
+  const issue = data && data.details && data.details[0] && data.details[0].issue;
+  const wrapped = new Error(`PayPal ${action} failed: ${issue || (data && data.message) || error.message}`);
+  wrapped.statusCode = 502;
+  wrapped.issue = issue;
+  wrapped.details = data;
+  return wrapped;
+};
+
+// Create a PayPal Orders v2 client. All HTTP goes through `http`, so tests
+// can pass an axios instance pointed at a local stub server instead.
+// PAYPAL_API_BASE overrides the sandbox/live base chosen by PAYPAL_MODE.
+const createPayPalClient = ({
+  mode = process.env.PAYPAL_MODE === 'live' ? 'live' : 'sandbox',
+  baseURL = process.env.PAYPAL_API_BASE || PAYPAL_API_BASES[mode],
+  clientId = process.env.PAYPAL_CLIENT_ID,
+  clientSecret = process.env.PAYPAL_CLIENT_SECRET,
+  http = axios.create({ baseURL, timeout: 15000 })
+} = {}) => {
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  const getAccessToken = async () => {
+    // Refresh a minute early so a token never expires mid request
+    if (accessToken && Date.now() < tokenExpiresAt - 60 * 1000) {
+      return accessToken;
+    }
+
+    try {
+      const response = await http.post('/v1/oauth2/token', 'grant_type=client_credentials', {
+        auth: { username: clientId, password: clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      accessToken = response.data.access_token;
+      tokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+      return accessToken;
+    } catch (error) {
+      throw toPayPalError(error, 'authentication');
+    }
+  };
+
+  const request = async (action, config) => {
+    const token = await getAccessToken();
+    try {
+      const response = await http.request({
+        ...config,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...config.headers
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw toPayPalError(error, action);
+    }
+  };
+
+  return {
+    mode,
+
+    // Create an order the buyer approves on PayPal. requestId makes the
+    // call idempotent on PayPal's side.
+    createOrder: ({ referenceId, invoiceId, amount, currency, description, returnUrl, cancelUrl, requestId }) => request('create order', {
+      method: 'post',
+      url: '/v2/checkout/orders',
+      headers: requestId ? { 'PayPal-Request-Id': requestId } : {},
+      data: {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          reference_id: referenceId,
+          invoice_id: invoiceId,
+          description,
+          amount: {
+            currency_code: currency,
+            value: amount.toFixed(2)
+          }
+        }],
+        application_context: {
+          brand_name: process.env.EMAIL_FROM_NAME || 'Nibras Ahmed Digital Products',
+          user_action: 'PAY_NOW',
+          shipping_preference: 'NO_SHIPPING',
+          return_url: returnUrl,
+          cancel_url: cancelUrl
+        }
+      }
+    }),
+
+    // Capture an approved order
+    captureOrder: (paypalOrderId, { requestId } = {}) => request('capture', {
+      method: 'post',
+      url: `/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}/capture`,
+      headers: requestId ? { 'PayPal-Request-Id': requestId } : {},
+      data: {}
+    }),
+
+    getOrder: (paypalOrderId) => request('get order', {
+      method: 'get',
+      url: `/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}`
+    }),
+
+    // Refund a capture, fully or by amount
+    refundCapture: (captureId, { amount, currency, note, requestId } = {}) => request('refund', {
+      method: 'post',
+      url: `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+      headers: requestId ? { 'PayPal-Request-Id': requestId } : {},
+      data: amount ? {
+        amount: { value: amount.toFixed(2), currency_code: currency },
+        note_to_payer: note
+      } : { note_to_payer: note }
+    }),
+
+    // Ask PayPal whether a webhook delivery is genuine
+    verifyWebhookSignature: async ({ headers, event, webhookId = process.env.PAYPAL_WEBHOOK_ID }) => {
+      const result = await request('webhook verification', {
+        method: 'post',
+        url: '/v1/notifications/verify-webhook-signature',
+        data: {
+          auth_algo: headers['paypal-auth-algo'],
+          cert_url: headers['paypal-cert-url'],
+          transmission_id: headers['paypal-transmission-id'],
+          transmission_sig: headers['paypal-transmission-sig'],
+          transmission_time: headers['paypal-transmission-time'],
+          webhook_id: webhookId,
+          webhook_event: event
+        }
+      });
+      return result.verification_status === 'SUCCESS';
+    }
+  };
+};
+
+// Link the buyer must visit to approve the order
+const getApprovalUrl = (paypalOrder) => {
+  const link = (paypalOrder.links || []).find(item => item.rel === 'approve' || item.rel === 'payer-action');
+  return link ? link.href : null;
+};
+
+// Capture with the given status from a captured order, if any
+const findCapture = (paypalOrder, status) => {
+  const units = paypalOrder.purchase_units || [];
+  for (const unit of units) {
+    const captures = (unit.payments && unit.payments.captures) || [];
+    const found = captures.find(capture => capture.status === status);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+};
+
+// Completed capture from a captured order, if any
+const getCompletedCapture = (paypalOrder) => findCapture(paypalOrder, 'COMPLETED');
+
+// Capture PayPal is still clearing (an eCheck, or one held for review)
+const getPendingCapture = (paypalOrder) => findCapture(paypalOrder, 'PENDING');
+
+let defaultClient = null;
+
+const getPayPal = () => {
+  if (!defaultClient) {
+    defaultClient = createPayPalClient();
+  }
+  return defaultClient;
+};
+
+module.exports = {
+  createPayPalClient,
+  getPayPal,
+  getApprovalUrl,
+  getCompletedCapture,
+  getPendingCapture
+};
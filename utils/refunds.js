@@ -0,0 +1,207 @@
+const Product = require('../models/Product');
+const User = require('../models/user');
+const Refund = require('../models/Refund');
+const Entitlement = require('../models/Entitlement');
+const License = require('../models/License');
+const { getProvider } = require('./payments');
+const { transitionOrder } = require('./orderLifecycle');
+const { sendRefundEmail } = require('./sendEmail');
+const logger = require('./logger');
+
+const REFUNDABLE_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+const round = value => Math.round(value * 100) / 100;
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Work out which line items and quantities a refund covers.
+// `requested` is [{ item, quantity }] where item is the order line id or
+// product id; omit it for a full refund of everything not yet refunded.
+const resolveRefundLines = (order, requested) => {
+  if (!requested || requested.length === 0) {
+    return order.items
+      .filter(item => item.refundedQuantity < item.quantity)
+      .map(item => ({ line: item, quantity: item.quantity - item.refundedQuantity }));
+  }
+
+  // Entries naming the same line (by line id or product id) add up, so a
+  // line can never be refunded past what is left of it
+  const byLine = new Map();
+  for (const { item: id, quantity } of requested) {
+    const line = order.items.find(item => item._id.toString() === id || item.product.toString() === id);
+    if (!line) {
+      throw refundError(`Item ${id} is not part of this order`);
+    }
+
+    const remaining = line.quantity - line.refundedQuantity;
+    const refundQuantity = quantity ? parseInt(quantity) : remaining;
+    const key = line._id.toString();
+    const total = (byLine.has(key) ? byLine.get(key).quantity : 0) + refundQuantity;
+    if (refundQuantity < 1 || total > remaining) {
+      throw refundError(`Only ${remaining} of ${line.name} can be refunded`);
+    }
+
+    byLine.set(key, { line, quantity: total });
+  }
+
+  return [...byLine.values()];
+};
+
+// Money back for a set of lines: the unit price less the order discount,
+// spread proportionally over the lines
+const calculateRefundAmount = (order, lines) => {
+  const discountRatio = order.subtotal > 0 ? order.discount / order.subtotal : 0;
+  return lines.map(({ line, quantity }) => ({
+    line,
+    quantity,
+    amount: round(line.price * quantity * (1 - discountRatio))
+  }));
+};
+
+// Take back what the paid side effects gave: product sales (counted in
+// units, as incrementSales adds them) and buyer stats
+const reverseStats = async (order, lines, amount, fullyRefunded) => {
+  for (const { line, quantity } of lines) {
+    await Product.updateOne({ _id: line.product }, [
+      { $set: { 'stats.sales': { $max: [0, { $subtract: ['$stats.sales', quantity] }] } } }
+    ]);
+  }
+
+  await User.updateOne({ _id: order.user }, {
+    $inc: {
+      'stats.totalSpent': -amount,
+      'stats.totalOrders': fullyRefunded ? -1 : 0
+    }
+  });
+};
+
+// Refund a paid order, fully or per line item, through the provider that
+// took the payment. Records a ledger entry, marks refunded quantities on
+// the order, revokes downloads and license keys for fully refunded lines,
+// reverses stats and emails the customer. Errors carry a statusCode for the route.
+const refundOrder = async (order, { items, reason, actor } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw refundError(`Order is ${order.status} and cannot be refunded`, 409);
+  }
+
+  const provider = order.payment && getProvider(order.payment.provider);
+  if (!provider) {
+    throw refundError('Order has no refundable payment', 409);
+  }
+
+  const lines = calculateRefundAmount(order, resolveRefundLines(order, items));
+  if (lines.length === 0) {
+    throw refundError('Nothing left to refund', 409);
+  }
+
+  const fullyRefunded = order.items.every(item => {
+    const refunding = lines.find(({ line }) => line._id.equals(item._id));
+    return item.refundedQuantity + (refunding ? refunding.quantity : 0) >= item.quantity;
+  });
+
+  // The last refund takes whatever is left so rounding never leaves cents
+  const remaining = round(order.total - order.amountRefunded);
+  const amount = fullyRefunded ? remaining : Math.min(round(lines.reduce((sum, { amount: lineAmount }) => sum + lineAmount, 0)), remaining);
+
+  // The pending ledger entry doubles as a lock: only one refund per order
+  // may be in flight
+  let refund;
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      user: order.user,
+      provider: provider.name,
+      amount,
+      currency: order.currency,
+      type: fullyRefunded && !order.amountRefunded ? 'full' : 'partial',
+      items: lines.map(({ line, quantity, amount: lineAmount }) => ({
+        item: line._id,
+        product: line.product,
+        quantity,
+        amount: lineAmount
+      })),
+      reason,
+      createdBy: actor
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw refundError('Another refund for this order is in progress', 409);
+    }
+    throw error;
+  }
+
+  let providerRefund;
+  try {
+    providerRefund = amount > 0 ? await provider.refund(order, { amount, reason }) : { status: 'skipped' };
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+    throw error;
+  }
+
+  // Money has moved. Whatever happens to the order, the ledger entry must
+  // leave pending so it records the provider refund and frees the lock.
+  refund.reference = providerRefund.reference;
+  refund.providerStatus = providerRefund.status;
+  try {
+    lines.forEach(({ line, quantity }) => {
+      line.refundedQuantity += quantity;
+    });
+    order.amountRefunded = round(order.amountRefunded + amount);
+
+    await transitionOrder(order, fullyRefunded ? 'refunded' : 'partially_refunded', {
+      actor,
+      actorType: 'admin',
+      reason: reason || `Refunded ${amount} ${order.currency}`
+    });
+
+    refund.status = 'succeeded';
+  } catch (error) {
+    refund.status = 'needs_reconciliation';
+    refund.failureReason = error.message;
+    logger.error(`Refund ${refund._id} for order ${order.orderNumber} was issued but the order was not updated:`, error);
+  } finally {
+    await refund.save();
+  }
+
+  if (refund.status === 'needs_reconciliation') {
+    throw refundError(`The provider refunded ${amount} ${order.currency} but the order could not be updated; reconcile refund ${refund._id} by hand`, 500);
+  }
+
+  try {
+    // Lines refunded in full no longer grant downloads or license keys
+    // from this order, unless another line (e.g. a bundle) still does
+    const stillGranted = new Set(order.getGrantedProducts(
+      order.items.filter(item => item.refundedQuantity < item.quantity)
+    ).map(id => id.toString()));
+    const refundedProducts = order.getGrantedProducts(
+      lines.filter(({ line }) => line.refundedQuantity >= line.quantity).map(({ line }) => line)
+    ).filter(id => !stillGranted.has(id.toString()));
+    await Entitlement.revokeForOrder(order, refundedProducts);
+    await License.revokeForOrder(order, refundedProducts);
+
+    await reverseStats(order, lines, amount, fullyRefunded);
+
+    const user = await User.findById(order.user).select('name');
+    await sendRefundEmail(order.email, user ? user.name : 'there', {
+      orderNumber: order.orderNumber,
+      amount,
+      currency: order.currency,
+      type: refund.type
+    });
+  } catch (error) {
+    // Money has moved and the ledger is written; do not fail the refund
+    logger.error(`Post-refund steps for order ${order.orderNumber} failed:`, error);
+  }
+
+  return refund;
+};
+
+module.exports = {
+  refundOrder
+};
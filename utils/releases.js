@@ -0,0 +1,36 @@
+const Entitlement = require('../models/Entitlement');
+const { sendReleaseEmail } = require('./sendEmail');
+const logger = require('./logger');
+
+// Email everyone who can still download the product about a new release.
+// Runs after the release is saved; failures are logged per buyer.
+const notifyBuyersOfRelease = async (product, release) => {
+  const entitlements = Entitlement.find({ product: product._id, revokedAt: null })
+    .populate('user', 'name email')
+    .cursor();
+
+  let sent = 0;
+  for await (const entitlement of entitlements) {
+    if (!entitlement.user || !entitlement.user.email) {
+      continue;
+    }
+
+    try {
+      await sendReleaseEmail(entitlement.user.email, entitlement.user.name, {
+        productName: product.name,
+        version: release.version,
+        changelog: release.changelog
+      });
+      sent += 1;
+    } catch (error) {
+      logger.error(`Release email for ${product.slug} ${release.version} to ${entitlement.user.email} failed:`, error);
+    }
+  }
+
+  logger.info(`Notified ${sent} buyers of ${product.slug} ${release.version}`);
+  return sent;
+};
+
+module.exports = {
+  notifyBuyersOfRelease
+};
@@ -0,0 +1,112 @@
+// Helpers for typo-tolerant product search and highlighting the words a
+// search matched
+const WORD_PATTERN = /([\p{L}\p{N}]+)/u;
+
+// Longest fragment of a description returned around its first match
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// The distinct lowercase words of a search, ignoring one-letter ones
+const searchTerms = (search) => [...new Set(String(search || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length > 1))]
+  .slice(0, 5);
+
+// Edit distance between two strings, giving up once it exceeds max
+const levenshtein = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos allowed in a term: none for short ones, more for longer ones
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 7 ? 1 : 2);
+
+// A word matches a term it starts with or is a few typos away from
+const matchesTerm = (word, term) => {
+  const lower = word.toLowerCase();
+  return lower.startsWith(term) || levenshtein(lower, term, allowedTypos(term)) <= allowedTypos(term);
+};
+
+const matchesAnyTerm = (word, terms) => terms.some(term => matchesTerm(word, term));
+
+// Whether every term matches some word of the texts
+const matchesAllTerms = (texts, terms) => {
+  const words = texts.flatMap(text => String(text || '').split(WORD_PATTERN).filter((part, index) => index % 2 === 1));
+  return terms.every(term => words.some(word => matchesTerm(word, term)));
+};
+
+// HTML-escape text and wrap the words matching the terms in <mark>.
+// Resolves to null when nothing matched.
+const highlight = (text, terms) => {
+  let matched = false;
+  const html = String(text || '').split(WORD_PATTERN).map((part, index) => {
+    if (index % 2 === 1 && matchesAnyTerm(part, terms)) {
+      matched = true;
+      return `<mark>${escapeHtml(part)}</mark>`;
+    }
+    return escapeHtml(part);
+  }).join('');
+
+  return matched ? html : null;
+};
+
+// Like highlight, but for long text: only the part around the first match
+const highlightSnippet = (text, terms) => {
+  const parts = String(text || '').split(WORD_PATTERN);
+  const first = parts.findIndex((part, index) => index % 2 === 1 && matchesAnyTerm(part, terms));
+  if (first === -1) {
+    return null;
+  }
+
+  const offset = parts.slice(0, first).join('').length;
+  const start = Math.max(0, offset - SNIPPET_LENGTH / 2);
+  const snippet = String(text).slice(start, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${highlight(snippet, terms)}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+};
+
+// The matched fragments of a product's name, description and tags
+const highlightProduct = (product, terms) => ({
+  name: highlight(product.name, terms),
+  description: highlightSnippet(product.description, terms),
+  tags: (product.tags || []).map(tag => highlight(tag, terms)).filter(Boolean)
+});
+
+module.exports = {
+  escapeRegExp,
+  searchTerms,
+  levenshtein,
+  matchesAllTerms,
+  highlight,
+  highlightProduct
+};
@@ -0,0 +1,73 @@
+// Minimal semantic version helpers for product releases (MAJOR.MINOR.PATCH
+// with an optional -prerelease tag; build metadata is not supported)
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+const parse = (version) => {
+  const match = SEMVER_PATTERN.exec(String(version || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: parseInt(match[1]),
+    minor: parseInt(match[2]),
+    patch: parseInt(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+const isValid = (version) => parse(version) !== null;
+
+// Compare prerelease identifiers: numeric ones numerically and below
+// alphanumeric ones, as the semver spec orders them
+const compareIdentifiers = (a, b) => {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) {
+    return Math.sign(parseInt(a) - parseInt(b));
+  }
+  if (aNumeric !== bNumeric) {
+    return aNumeric ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Returns -1, 0 or 1. Throws on an invalid version.
+const compare = (a, b) => {
+  const left = parse(a);
+  const right = parse(b);
+
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${left ? b : a}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] > right[part] ? 1 : -1;
+    }
+  }
+
+  // A release is newer than any of its prereleases
+  if (!left.prerelease.length || !right.prerelease.length) {
+    return Math.sign(right.prerelease.length - left.prerelease.length);
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (left.prerelease[i] === undefined) return -1;
+    if (right.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+};
+
+module.exports = {
+  parse,
+  isValid,
+  compare
+};
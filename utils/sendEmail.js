@@ -40,7 +40,24 @@ const sendOrderConfirmationEmail = async (email, name, orderData) => {
   return sendEmail({
     email,
     subject: `Order Confirmation #${orderData.orderNumber}`,
-    message: `Hi ${name}, your order has been confirmed!`
+    message: `Hi ${name}, your order has been confirmed! Total: ${orderData.total} ${orderData.currency || 'USD'}`
+  });
+};
+
+const sendRefundEmail = async (email, name, refundData) => {
+  const scope = refundData.type === 'full' ? 'your order' : 'part of your order';
+  return sendEmail({
+    email,
+    subject: `Refund for Order #${refundData.orderNumber}`,
+    message: `Hi ${name}, we have refunded ${refundData.amount} ${refundData.currency} for ${scope}.`
+  });
+};
+
+const sendReleaseEmail = async (email, name, releaseData) => {
+  return sendEmail({
+    email,
+    subject: `${releaseData.productName} ${releaseData.version} is available`,
+    message: `Hi ${name}, version ${releaseData.version} of ${releaseData.productName} has been released. Download it from your account.\n\n${releaseData.changelog || ''}`.trim()
   });
 };
 
@@ -48,5 +65,7 @@ module.exports = {
   sendEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
-  sendOrderConfirmationEmail
+  sendOrderConfirmationEmail,
+  sendRefundEmail,
+  sendReleaseEmail
 };
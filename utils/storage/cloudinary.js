@@ -0,0 +1,153 @@
+const path = require('path');
+const axios = require('axios');
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+const { storageError, notFound } = require('./errors');
+
+// Cloudinary needs the resource and delivery type next to the public id to
+// find an asset again, so keys are stored as <resource>/<type>/<public id>
+const toKey = ({ resource_type: resourceType, type, public_id: publicId }) => `${resourceType}/${type}/${publicId}`;
+
+const fromKey = (key) => {
+  const [resourceType, type, ...rest] = key.split('/');
+  return { resourceType, type, publicId: rest.join('/') };
+};
+
+// Images and videos are transformed by Cloudinary; everything else is raw
+const resourceTypeFor = (contentType) => {
+  if (contentType && contentType.startsWith('image/')) return 'image';
+  if (contentType && contentType.startsWith('video/')) return 'video';
+  return 'raw';
+};
+
+// Cloudinary storage using CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and
+// CLOUDINARY_API_SECRET. Private files are uploaded as `authenticated`
+// assets and only reachable through signed URLs.
+const createCloudinaryStorage = ({
+  cloudName = process.env.CLOUDINARY_CLOUD_NAME,
+  apiKey = process.env.CLOUDINARY_API_KEY,
+  apiSecret = process.env.CLOUDINARY_API_SECRET,
+  folder = process.env.CLOUDINARY_FOLDER || 'nibras',
+  http = axios.create({ timeout: 30000 })
+} = {}) => {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+    secure: true
+  });
+
+  const signedUrl = async (key, { expiresIn = 900, fileName } = {}) => {
+    const { resourceType, type, publicId } = fromKey(key);
+
+    if (type === 'upload') {
+      return cloudinary.url(publicId, { resource_type: resourceType, type, secure: true });
+    }
+
+    // Raw public ids keep their extension; images and videos need a format
+    const format = resourceType === 'raw' ? '' : path.extname(fileName || '').slice(1);
+    return cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType,
+      type,
+      attachment: Boolean(fileName),
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  };
+
+  const stat = async (key) => {
+    const { resourceType, type, publicId } = fromKey(key);
+    try {
+      const resource = await cloudinary.api.resource(publicId, { resource_type: resourceType, type });
+      return {
+        size: resource.bytes,
+        contentType: null
+      };
+    } catch (error) {
+      if (error.error && error.error.http_code === 404) {
+        return null;
+      }
+      throw storageError(`Cloudinary lookup failed: ${(error.error && error.error.message) || error.message}`, 502, error);
+    }
+  };
+
+  return {
+    put: async (key, body, { contentType, isPublic = false } = {}) => {
+      const resourceType = resourceTypeFor(contentType);
+      const extension = path.extname(key);
+      // Cloudinary adds the format to image and video ids itself
+      const publicId = `${folder}/${resourceType === 'raw' ? key : key.slice(0, key.length - extension.length)}`;
+
+      const result = await new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream({
+          public_id: publicId,
+          resource_type: resourceType,
+          type: isPublic ? 'upload' : 'authenticated',
+          overwrite: false
+        }, (error, uploaded) => (error ? reject(error) : resolve(uploaded)));
+
+        (Buffer.isBuffer(body) ? Readable.from([body]) : body).pipe(upload);
+      }).catch(error => {
+        throw storageError(`Cloudinary upload failed: ${error.message}`, 502, error);
+      });
+
+      return {
+        key: toKey(result),
+        url: isPublic ? result.secure_url : null,
+        size: result.bytes
+      };
+    },
+
+    // Read through a short-lived signed URL so ranges are served by the CDN
+    get: async (key, { start, end } = {}) => {
+      const url = await signedUrl(key, { expiresIn: 60 });
+      const ranged = start !== undefined || end !== undefined;
+
+      let response;
+      try {
+        response = await http.get(url, {
+          responseType: 'stream',
+          headers: ranged ? { Range: `bytes=${start || 0}-${end === undefined ? '' : end}` } : {},
+          validateStatus: status => status < 500
+        });
+      } catch (error) {
+        throw storageError(`Cloudinary download failed: ${error.message}`, 502, error);
+      }
+
+      if (response.status === 404) {
+        response.data.destroy();
+        throw notFound(key);
+      }
+      if (response.status >= 400) {
+        response.data.destroy();
+        throw storageError(`Cloudinary download failed with status ${response.status}`);
+      }
+
+      const size = parseInt(response.headers['content-length']);
+      const contentRange = response.headers['content-range'];
+
+      return {
+        stream: response.data,
+        size,
+        totalSize: contentRange ? parseInt(contentRange.split('/')[1]) : size,
+        contentType: response.headers['content-type'] || null
+      };
+    },
+
+    stat,
+
+    delete: async (key) => {
+      const { resourceType, type, publicId } = fromKey(key);
+      try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+      } catch (error) {
+        throw storageError(`Cloudinary delete failed: ${error.message}`, 502, error);
+      }
+    },
+
+    signedUrl
+  };
+};
+
+module.exports = {
+  createCloudinaryStorage
+};
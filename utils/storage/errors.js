@@ -0,0 +1,16 @@
+// Errors drivers throw, with the status code the routes report
+const storageError = (message, statusCode = 502, cause) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+};
+
+const notFound = (key) => storageError(`Object ${key} not found`, 404);
+
+module.exports = {
+  storageError,
+  notFound
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Storage drivers share one interface so product images and files can live
+// on local disk, an S3-compatible bucket or Cloudinary:
+//
+//   put(key, body, { contentType, size, isPublic })
+//     -> { key, url, size }. body is a Buffer or a readable stream (streams
+//        need size). Drivers may rewrite the key; store the one returned.
+//        url is set for public objects (images), null for private files.
+//   get(key, { start, end })
+//     -> { stream, size, totalSize, contentType }. start/end select an
+//        inclusive byte range. Throws with statusCode 404 when missing.
+//   stat(key)
+//     -> { size, contentType } or null when missing
+//   delete(key)
+//   signedUrl(key, { expiresIn, fileName })
+//     -> a time-limited URL that downloads the object directly, or null
+//        when the driver has none (local). Callers must then stream the
+//        file through the API (utils/fileDelivery) instead.
+//
+// Storage failures are thrown with statusCode 502.
+const DRIVERS = {
+  local: () => require('./local').createLocalStorage(),
+  s3: () => require('./s3').createS3Storage(),
+  cloudinary: () => require('./cloudinary').createCloudinaryStorage()
+};
+
+const instances = new Map();
+
+const getDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+// Get a driver by name (defaults to STORAGE_DRIVER). Files remember the
+// driver they were stored with, so switching drivers keeps old files working.
+const getStorage = (name = getDriverName()) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, { name, ...DRIVERS[name]() });
+  }
+  return instances.get(name);
+};
+
+// Build a unique object key like files/<product>/3f9c...-course.zip
+const buildKey = (folder, originalName) => {
+  const extension = path.extname(originalName || '');
+  const base = path.basename(originalName || 'file', extension)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'file';
+
+  return `${folder}/${crypto.randomBytes(8).toString('hex')}-${base}${extension.toLowerCase()}`;
+};
+
+// Store a multer upload (memory or disk storage) with the current driver.
+// Resolves to the fields products keep: { key, storage, url, size }.
+const storeUpload = async (file, folder, { isPublic = false } = {}) => {
+  const storage = getStorage();
+  const body = file.buffer || fs.createReadStream(file.path);
+  const stored = await storage.put(buildKey(folder, file.originalname), body, {
+    contentType: file.mimetype,
+    size: file.size,
+    isPublic
+  });
+
+  return {
+    key: stored.key,
+    storage: storage.name,
+    url: stored.url,
+    size: stored.size
+  };
+};
+
+// Best-effort removal of stored objects, e.g. after a failed save
+const removeStored = async (objects) => {
+  await Promise.all(objects.map(object =>
+    getStorage(object.storage).delete(object.key).catch(() => {})
+  ));
+};
+
+module.exports = {
+  getStorage,
+  getDriverName,
+  buildKey,
+  storeUpload,
+  removeStored
+};
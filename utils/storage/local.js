@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const { storageError, notFound } = require('./errors');
+
+// Keys under these prefixes are served publicly from /uploads
+const PUBLIC_PREFIXES = ['images/'];
+
+// Local disk storage for development. Render's disk is wiped on every
+// deploy, so use s3 or cloudinary in production.
+const createLocalStorage = ({
+  root = path.resolve(process.env.UPLOAD_DIR || '/tmp/uploads'),
+  publicUrl = `${process.env.API_URL || ''}/uploads`
+} = {}) => {
+  // Map a key to a path inside root, refusing anything that escapes it
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw notFound(key);
+    }
+    return filePath;
+  };
+
+  const isPublic = key => PUBLIC_PREFIXES.some(prefix => key.startsWith(prefix));
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolve(key));
+      return stats.isFile() ? { size: stats.size, contentType: null } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        return null;
+      }
+      throw storageError(`Local storage stat failed: ${error.message}`, 502, error);
+    }
+  };
+
+  return {
+    put: async (key, body, { isPublic: publicObject = false } = {}) => {
+      const filePath = resolve(key);
+
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        if (Buffer.isBuffer(body)) {
+          await fs.promises.writeFile(filePath, body);
+        } else {
+          await pipeline(body, fs.createWriteStream(filePath));
+        }
+      } catch (error) {
+        throw storageError(`Local storage write failed: ${error.message}`, 502, error);
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      return {
+        key,
+        url: publicObject && isPublic(key) ? `${publicUrl}/${key}` : null,
+        size
+      };
+    },
+
+    get: async (key, { start, end } = {}) => {
+      const info = await stat(key);
+      if (!info) {
+        throw notFound(key);
+      }
+
+      const from = start || 0;
+      const to = end === undefined ? info.size - 1 : end;
+
+      return {
+        stream: fs.createReadStream(resolve(key), { start: from, end: to }),
+        size: to - from + 1,
+        totalSize: info.size,
+        contentType: null
+      };
+    },
+
+    stat,
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw storageError(`Local storage delete failed: ${error.message}`, 502, error);
+        }
+      }
+    },
+
+    // Local files have no direct URL, so this always resolves to null and
+    // downloads stream through the API (see signedUrl in ./index.js)
+    signedUrl: async () => null,
+
+    // Serve the public prefixes (product images) as static files. The
+    // storefront runs on another origin, so allow cross-origin embedding.
+    serveStatic: () => {
+      const router = express.Router();
+      PUBLIC_PREFIXES.forEach(prefix => {
+        router.use(`/${prefix.replace(/\/$/, '')}`, express.static(path.join(root, prefix), {
+          fallthrough: false,
+          index: false,
+          setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+        }));
+      });
+      return router;
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,128 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { storageError, notFound } = require('./errors');
+
+const isMissing = error => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// S3 or any S3-compatible store. Set S3_ENDPOINT (e.g. http://localhost:9000
+// for MinIO) to use path-style requests against a self-hosted server.
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // Base URL public objects are served from (bucket website or CDN)
+  publicUrl = process.env.S3_PUBLIC_URL,
+  client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint) || process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  })
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const objectUrl = (key) => {
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    if (endpoint) {
+      return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  };
+
+  const send = async (action, command) => {
+    try {
+      return await client.send(command);
+    } catch (error) {
+      if (isMissing(error)) {
+        throw notFound(command.input.Key);
+      }
+      throw storageError(`S3 ${action} failed: ${error.message}`, 502, error);
+    }
+  };
+
+  const stat = async (key) => {
+    try {
+      const head = await send('head', new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { size: head.ContentLength, contentType: head.ContentType || null };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    put: async (key, body, { contentType, size, isPublic = false } = {}) => {
+      await send('put', new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: Buffer.isBuffer(body) ? body.length : size
+      }));
+
+      return {
+        key,
+        url: isPublic ? objectUrl(key) : null,
+        size: Buffer.isBuffer(body) ? body.length : size
+      };
+    },
+
+    get: async (key, { start, end } = {}) => {
+      const ranged = start !== undefined || end !== undefined;
+      const result = await send('get', new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: ranged ? `bytes=${start || 0}-${end === undefined ? '' : end}` : undefined
+      }));
+
+      // Content-Range is "bytes 0-99/1234" for ranged reads
+      const totalSize = result.ContentRange
+        ? parseInt(result.ContentRange.split('/')[1])
+        : result.ContentLength;
+
+      return {
+        stream: result.Body,
+        size: result.ContentLength,
+        totalSize,
+        contentType: result.ContentType || null
+      };
+    },
+
+    stat,
+
+    delete: async (key) => {
+      await send('delete', new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    signedUrl: async (key, { expiresIn = 900, fileName } = {}) => {
+      try {
+        return await getSignedUrl(client, new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentDisposition: fileName ? `attachment; filename="${fileName.replace(/"/g, '')}"` : undefined
+        }), { expiresIn });
+      } catch (error) {
+        throw storageError(`S3 signing failed: ${error.message}`, 502, error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
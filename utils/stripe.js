@@ -0,0 +1,44 @@
+const Stripe = require('stripe');
+
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+let client = null;
+
+// Lazily create the Stripe client. STRIPE_API_BASE points it at another
+// server, e.g. stripe-mock (http://localhost:12111) during tests.
+const getStripe = () => {
+  if (!client) {
+    const config = {};
+
+    if (process.env.STRIPE_API_BASE) {
+      const base = new URL(process.env.STRIPE_API_BASE);
+      config.host = base.hostname;
+      config.port = base.port || (base.protocol === 'https:' ? 443 : 80);
+      config.protocol = base.protocol.replace(':', '');
+    }
+
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, config);
+  }
+  return client;
+};
+
+// Convert an order amount to Stripe's smallest currency unit
+const toStripeAmount = (amount, currency) => {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())) {
+    return Math.round(amount);
+  }
+  return Math.round(amount * 100);
+};
+
+// Verify a webhook signature against the raw request body and return the
+// event. Throws if the signature or timestamp is invalid.
+const constructWebhookEvent = (rawBody, signature) => {
+  return getStripe().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
+module.exports = {
+  getStripe,
+  toStripeAmount,
+  constructWebhookEvent
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { PassThrough, Transform } = require('stream');
+const { once } = require('events');
+const Product = require('../models/Product');
+const UploadSession = require('../models/UploadSession');
+const { getStorage, buildKey } = require('./storage');
+const { HEADER_BYTES, detectFileType, isAllowedFileType } = require('./fileType');
+const logger = require('./logger');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const DEFAULT_MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
+const EXPIRY_BATCH_SIZE = 50;
+
+const getSessionTtlMs = () => (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+const getMaxUploadSize = () => parseInt(process.env.MAX_UPLOAD_SIZE) || DEFAULT_MAX_UPLOAD_SIZE;
+const getMaxChunkSize = () => parseInt(process.env.MAX_CHUNK_SIZE) || DEFAULT_MAX_CHUNK_SIZE;
+
+const uploadError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+const deleteParts = async (session) => {
+  const storage = getStorage(session.storage);
+  await Promise.all(session.parts.map(part =>
+    storage.delete(part.key).catch(error => logger.error(`Failed to delete upload part ${part.key}:`, error))
+  ));
+};
+
+// Pass bytes through, failing if more than `limit` arrive
+const byteCounter = (limit) => {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      if (counter.bytes > limit) {
+        return callback(uploadError('Chunk is larger than its Content-Length', 400));
+      }
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+};
+
+// Start a resumable upload for a product file
+const createSession = ({ product, user, fileName, size, checksum }) => {
+  if (size > getMaxUploadSize()) {
+    throw uploadError(`Uploads are limited to ${getMaxUploadSize()} bytes`, 413);
+  }
+
+  return UploadSession.create({
+    product: product._id,
+    user,
+    fileName,
+    size,
+    checksum,
+    storage: getStorage().name,
+    expiresAt: new Date(Date.now() + getSessionTtlMs())
+  });
+};
+
+// Store one chunk starting at `offset`. The chunk is written as its own
+// part; the session only advances once the whole chunk is stored, so a
+// dropped connection leaves the offset where it was and the client can
+// resume from there. Resolves to the updated session.
+const appendChunk = async (session, stream, { offset, length }) => {
+  if (session.status !== 'uploading') {
+    throw uploadError(`Upload is ${session.status}`, 409);
+  }
+  if (offset !== session.offset) {
+    throw uploadError('Upload-Offset does not match the upload', 409, { offset: session.offset });
+  }
+  if (length > getMaxChunkSize()) {
+    throw uploadError(`Chunks are limited to ${getMaxChunkSize()} bytes`, 413);
+  }
+  if (offset + length > session.size) {
+    throw uploadError('Chunk runs past the declared upload size', 400);
+  }
+
+  const storage = getStorage(session.storage);
+  let key = `uploads/${session._id}/${String(offset).padStart(13, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+  const counter = byteCounter(length);
+  // A dropped connection must fail the write rather than leave it hanging
+  stream.on('error', error => counter.destroy(error));
+  stream.on('aborted', () => counter.destroy(uploadError('Upload interrupted', 400)));
+
+  try {
+    // Drivers may store the object under a key of their own
+    ({ key } = await storage.put(key, stream.pipe(counter), { size: length }));
+  } catch (error) {
+    await storage.delete(key).catch(() => {});
+    throw error;
+  }
+
+  if (counter.bytes !== length) {
+    await storage.delete(key).catch(() => {});
+    throw uploadError('Chunk was incomplete, resend it from the current offset', 400, { offset: session.offset });
+  }
+
+  // Only the request that still sees the expected offset wins
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', offset },
+    {
+      $inc: { offset: length },
+      $push: { parts: { key, offset, size: length } },
+      $set: { expiresAt: new Date(Date.now() + getSessionTtlMs()) }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await storage.delete(key).catch(() => {});
+    const current = await UploadSession.findById(session._id).select('offset');
+    throw uploadError('Upload-Offset does not match the upload', 409, { offset: current ? current.offset : undefined });
+  }
+
+  return updated;
+};
+
+// Stream the parts, in order, into one object while hashing them.
+// Resolves to { key, checksum }.
+const assembleParts = async (session, storage, key, contentType) => {
+  const hash = crypto.createHash('sha256');
+  const output = new PassThrough();
+
+  const pump = (async () => {
+    for (const part of session.parts) {
+      const { stream } = await storage.get(part.key);
+      for await (const chunk of stream) {
+        hash.update(chunk);
+        if (!output.write(chunk)) {
+          await once(output, 'drain');
+        }
+      }
+    }
+    output.end();
+  })().catch(error => {
+    output.destroy(error);
+    throw error;
+  });
+
+  const write = storage.put(key, output, { contentType, size: session.size }).catch(error => {
+    output.destroy(error);
+    throw error;
+  });
+
+  const [stored] = await Promise.all([write, pump]);
+
+  return { key: stored.key, checksum: hash.digest('hex') };
+};
+
+// Join the chunks into the final file, verify its type and checksum and
+// attach it to the product. Resolves to { session, file }.
+const finalizeSession = async (session, { checksum } = {}) => {
+  if (session.status !== 'uploading') {
+    throw uploadError(`Upload is ${session.status}`, 409);
+  }
+  if (session.offset !== session.size) {
+    throw uploadError(`Upload is incomplete: ${session.offset} of ${session.size} bytes received`, 409, { offset: session.offset });
+  }
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'finalizing', expiresAt: new Date(Date.now() + getSessionTtlMs()) } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw uploadError('Upload is already being finalized', 409);
+  }
+
+  const storage = getStorage(claimed.storage);
+  const expected = (checksum || claimed.checksum || '').toLowerCase();
+  let finalKey = null;
+
+  try {
+    const product = await Product.findById(claimed.product);
+    if (!product) {
+      throw uploadError('Product not found', 404);
+    }
+
+    // Check the content type from the first bytes before copying anything
+    const { stream } = await storage.get(claimed.parts[0].key, { start: 0, end: Math.min(HEADER_BYTES, claimed.parts[0].size) - 1 });
+    const header = [];
+    for await (const chunk of stream) {
+      header.push(chunk);
+    }
+    const type = detectFileType(Buffer.concat(header));
+
+    if (!isAllowedFileType(type)) {
+      claimed.status = 'aborted';
+      claimed.failureReason = 'File type not allowed';
+      await claimed.save();
+      await deleteParts(claimed);
+      throw uploadError(`${claimed.fileName} is not an allowed file type`, 415);
+    }
+
+    const assembled = await assembleParts(claimed, storage, buildKey(`files/${product._id}`, claimed.fileName), type);
+    finalKey = assembled.key;
+    const digest = assembled.checksum;
+
+    if (expected && digest !== expected) {
+      await storage.delete(finalKey).catch(() => {});
+      claimed.status = 'aborted';
+      claimed.failureReason = 'Checksum mismatch';
+      await claimed.save();
+      await deleteParts(claimed);
+      throw uploadError('Checksum does not match the uploaded data', 422, { checksum: digest });
+    }
+
+    const [file] = product.addFiles([{
+      name: claimed.fileName,
+      key: finalKey,
+      storage: storage.name,
+      size: claimed.size,
+      type,
+      checksum: digest
+    }]);
+    await product.save();
+
+    claimed.status = 'completed';
+    claimed.file = file._id;
+    await claimed.save();
+    await deleteParts(claimed);
+
+    return { session: claimed, file };
+  } catch (error) {
+    // Storage or database trouble: let the client try finalizing again
+    if (claimed.status === 'finalizing') {
+      if (finalKey) {
+        await storage.delete(finalKey).catch(() => {});
+      }
+      claimed.status = 'uploading';
+      await claimed.save().catch(saveError => logger.error('Failed to reset upload session:', saveError));
+    }
+    throw error;
+  }
+};
+
+// Cancel an upload and delete the chunks stored so far
+const abortSession = async (session) => {
+  const aborted = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'aborted', failureReason: 'Cancelled' } },
+    { new: true }
+  );
+  if (!aborted) {
+    throw uploadError(`Upload is ${session.status}`, 409);
+  }
+
+  await deleteParts(aborted);
+  return aborted;
+};
+
+// Expire abandoned uploads and free their storage. Resolves to the count.
+const expireStaleSessions = async () => {
+  const stale = await UploadSession.find({
+    status: { $in: ['uploading', 'finalizing'] },
+    expiresAt: { $lte: new Date() }
+  }).limit(EXPIRY_BATCH_SIZE);
+
+  let expired = 0;
+  for (const session of stale) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: session.status, expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired', failureReason: 'Abandoned' } },
+      { new: true }
+    );
+    if (claimed) {
+      await deleteParts(claimed);
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+const startUploadCleanup = () => cron.schedule('*/15 * * * *', () => {
+  expireStaleSessions()
+    .then(count => count > 0 && logger.info(`Expired ${count} abandoned upload(s)`))
+    .catch(error => logger.error('Upload cleanup job failed:', error));
+});
+
+module.exports = {
+  createSession,
+  appendChunk,
+  finalizeSession,
+  abortSession,
+  expireStaleSessions,
+  startUploadCleanup,
+  getMaxChunkSize
+};
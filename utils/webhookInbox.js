@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getProvider, applyPaymentResult } = require('./payments');
+const logger = require('./logger');
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 20;
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// 1m, 2m, 4m ... capped at 6h
+const backoff = attempts => Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+
+// Apply a stored, verified event to its order
+const applyEvent = async (provider, event) => {
+  const parsed = provider.parseWebhook(event.payload);
+
+  if (!parsed.reference && !parsed.orderId) {
+    return { status: 'ignored', result: { reason: `Unhandled event type ${parsed.type}` } };
+  }
+
+  const order = parsed.orderId
+    ? await Order.findById(parsed.orderId)
+    : await Order.findOne({ 'payment.provider': provider.name, 'payment.reference': parsed.reference });
+
+  if (!order || !order.payment || order.payment.reference !== parsed.reference) {
+    return { status: 'ignored', result: { reason: `No order for payment ${parsed.reference}` } };
+  }
+
+  const paymentResult = parsed.result ? parsed.result(order) : await provider.capture(order, {});
+  const applied = await applyPaymentResult(order, paymentResult, {
+    reason: `${provider.name} webhook ${parsed.type} (${parsed.eventId})`
+  });
+
+  return {
+    status: 'processed',
+    result: {
+      order: order._id,
+      outcome: paymentResult.outcome,
+      // false when the order was already past this state (redelivery,
+      // out of order event)
+      applied,
+      orderStatus: order.status
+    }
+  };
+};
+
+// Process a claimed event and record the outcome. Failures are scheduled
+// for retry with exponential backoff until MAX_ATTEMPTS is reached.
+const processWebhookEvent = async (event) => {
+  const provider = getProvider(event.provider);
+  event.attempts += 1;
+
+  try {
+    if (!provider) {
+      throw new Error(`Payment provider ${event.provider} is not available`);
+    }
+
+    const { status, result } = await applyEvent(provider, event);
+    event.status = status;
+    event.result = result;
+    event.lastError = undefined;
+    event.nextAttemptAt = undefined;
+    event.processedAt = new Date();
+  } catch (error) {
+    logger.error(`Webhook ${event.provider}/${event.eventId} attempt ${event.attempts} failed:`, error);
+    event.status = 'failed';
+    event.lastError = error.message;
+    event.nextAttemptAt = event.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + backoff(event.attempts))
+      : undefined;
+  }
+
+  await event.save();
+  return event;
+};
+
+// Atomically take an event for processing so it is never handled twice
+// at the same time (delivery, retry job and admin replay)
+const claimEvent = (filter) => WebhookEvent.findOneAndUpdate(
+  { $and: [filter, { status: { $nin: ['processing', 'rejected'] } }] },
+  { status: 'processing' },
+  { new: true }
+);
+
+// Persist and process an inbound webhook.
+// Resolves to { event, duplicate }; throws with statusCode 400 for an
+// invalid signature after recording the rejected delivery.
+const receiveWebhook = async (provider, req) => {
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+  let payload;
+
+  try {
+    payload = await provider.verifyWebhook(req);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      const hash = crypto.createHash('sha256').update(rawBody).digest('hex');
+      await WebhookEvent.updateOne(
+        { provider: provider.name, eventId: `unverified:${hash}` },
+        {
+          $setOnInsert: {
+            payload: req.body,
+            rawBody,
+            signatureValid: false,
+            status: 'rejected',
+            lastError: error.message
+          }
+        },
+        { upsert: true }
+      ).catch(storeError => logger.error('Failed to store rejected webhook:', storeError));
+    }
+    throw error;
+  }
+
+  const parsed = provider.parseWebhook(payload);
+
+  try {
+    await WebhookEvent.create({
+      provider: provider.name,
+      eventId: parsed.eventId,
+      type: parsed.type,
+      payload,
+      rawBody,
+      signatureValid: true
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Duplicate ${provider.name} webhook ${parsed.eventId} ignored`);
+      return { event: await WebhookEvent.findOne({ provider: provider.name, eventId: parsed.eventId }), duplicate: true };
+    }
+    throw error;
+  }
+
+  const event = await claimEvent({ provider: provider.name, eventId: parsed.eventId, status: 'received' });
+  return { event: event ? await processWebhookEvent(event) : null, duplicate: false };
+};
+
+// Re-run a stored event on demand (admin replay)
+const replayWebhookEvent = async (id, { user } = {}) => {
+  const event = await claimEvent({ _id: id });
+
+  if (!event) {
+    return null;
+  }
+
+  event.replayedBy = user;
+  return processWebhookEvent(event);
+};
+
+// Retry failed events whose backoff has elapsed
+const retryFailedWebhooks = async () => {
+  let retried = 0;
+
+  // Events left in processing by a crashed instance go back in the queue
+  await WebhookEvent.updateMany({
+    status: 'processing',
+    updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) }
+  }, {
+    status: 'failed',
+    lastError: 'Processing was interrupted',
+    nextAttemptAt: new Date()
+  });
+
+  while (retried < RETRY_BATCH_SIZE) {
+    const event = await claimEvent({ status: 'failed', nextAttemptAt: { $lte: new Date() } });
+    if (!event) {
+      break;
+    }
+    await processWebhookEvent(event);
+    retried += 1;
+  }
+
+  return retried;
+};
+
+// Schedule the retry job (every minute)
+const startWebhookRetries = () => cron.schedule('* * * * *', () => {
+  retryFailedWebhooks()
+    .then(count => count > 0 && logger.info(`Retried ${count} failed webhook(s)`))
+    .catch(error => logger.error('Webhook retry job failed:', error));
+});
+
+module.exports = {
+  receiveWebhook,
+  processWebhookEvent,
+  replayWebhookEvent,
+  retryFailedWebhooks,
+  startWebhookRetries
+};